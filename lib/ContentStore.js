@@ -0,0 +1,445 @@
+"use strict";
+
+var stream = require('stream');
+var promiseFromCallback = require('./promiseFromCallback');
+var abortable = require('./abortable');
+var errors = require('./errors');
+var quoteIdentifier = require('./quoteIdentifier');
+var WriteStream = require('./WriteStream');
+
+/** A stream which stores the data written to it in a new large object, and registers it in the content store
+  * once all data has been written. If the content store already contains the same data, the new large object
+  * is unlinked and the existing one is referenced instead. `oid` is the large object to use once the stream
+  * has emitted `finish`.
+  * @constructor
+  * @augments stream.Writable
+  * @private
+  * @param {module:pg-large-object/lib/ContentStore} store
+  * @param {Number} oid The large object the data is written to
+  * @param {module:pg-large-object/lib/WriteStream} output
+  * @param {Object} options
+  */
+function ContentWriteStream(store, oid, output, options)
+{
+        stream.Writable.call(this, {
+                'highWaterMark': options.bufferSize || 16384,
+                'decodeStrings': true,
+                'objectMode': false
+        });
+        this._store = store;
+        this._output = output;
+        this._createdOid = oid;
+        this.oid = null;
+        this.digest = null;
+        this.size = 0;
+        this.duplicate = false;
+
+        output.on('progress', this.emit.bind(this, 'progress'));
+        output.on('error', function(err)
+        {
+                this.destroy(err);
+        }.bind(this));
+}
+
+ContentWriteStream.prototype = Object.create(stream.Writable.prototype);
+
+ContentWriteStream.prototype._write = function(chunk, encoding, callback)
+{
+        this.size += chunk.length;
+        this._output.write(chunk, callback);
+};
+
+ContentWriteStream.prototype._final = function(callback)
+{
+        this._output.once('finish', function()
+        {
+                this.digest = this._output.digest;
+
+                this._store._register(this.digest, this._createdOid, this.size, function(err, oid)
+                {
+                        if (err) return callback(err);
+
+                        this.oid = oid;
+                        this.duplicate = oid !== this._createdOid;
+                        callback(null);
+                }.bind(this));
+        }.bind(this));
+
+        this._output.end();
+};
+
+ContentWriteStream.prototype._destroy = function(error, callback)
+{
+        this._output.destroy();
+        callback(error);
+};
+
+/** A content-addressed layer on top of large objects: data is stored once per digest, no matter how often it is
+  * uploaded. The digests are kept in a table (see install()) which maps them to the large object and counts the
+  * amount of references. Every store (or addReference) adds a reference and every release() drops one, the large
+  * object is unlinked when the last reference is dropped.
+  * Only use this within a transaction block. Requires PostgreSQL 9.5 or higher.
+  * @example const store = new ContentStore(man);
+  * const stream = await store.createWritableStreamAsync();
+  * stream.on('finish', () => console.log(stream.oid, stream.digest, stream.duplicate));
+  * @constructor
+  * @exports pg-large-object/lib/ContentStore
+  * @param {module:pg-large-object/lib/LargeObjectManager} manager
+  * @param {Object} [options]
+  * @param {String} [options.table=large_object_content] The name of the table which maps digests to large objects
+  * @param {String} [options.schema] The schema of the table. By default the search path is used.
+  * @param {String} [options.algorithm=sha256] The hash algorithm used to calculate digests
+  */
+function ContentStore(manager, options)
+{
+        options = options || {};
+
+        if (!manager)
+        {
+                throw new errors.InvalidArgumentError('A LargeObjectManager is required', 'ContentStore');
+        }
+
+        WriteStream.checkOptions({hash: options.algorithm}, 'ContentStore');
+
+        this._manager = manager;
+        this._table = (options.schema ? quoteIdentifier(options.schema) + '.' : '') +
+                quoteIdentifier(options.table || 'large_object_content');
+        this.algorithm = options.algorithm || 'sha256';
+}
+
+/** @typedef {Object} module:pg-large-object/lib/ContentStore~Entry
+  * @property {String} digest
+  * @property {Number} oid
+  * @property {Number} size The size of the content in bytes
+  * @property {Number} references
+  */
+
+function toEntry(row)
+{
+        // int8 values are returned as a string by node-postgres
+        return {digest: row.digest, oid: row.oid, size: Number(row.size), references: Number(row.refcount)};
+}
+
+/** @callback module:pg-large-object/lib/ContentStore~installCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Creates the table which maps digests to large objects, if it does not exist yet.
+  * @param {module:pg-large-object/lib/ContentStore~installCallback} [callback]
+  */
+ContentStore.prototype.install = function(callback)
+{
+        var text = "CREATE TABLE IF NOT EXISTS " + this._table + " (" +
+                "digest text PRIMARY KEY, " +
+                "oid oid NOT NULL UNIQUE, " +
+                "size int8 NOT NULL, " +
+                "refcount int8 NOT NULL CHECK (refcount >= 0), " +
+                "created timestamptz NOT NULL DEFAULT now())";
+
+        this._manager._query({text: text}, callback ? function(err)
+        {
+                callback(err);
+        } : undefined);
+};
+
+/** Creates the table which maps digests to large objects, if it does not exist yet.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+ContentStore.prototype.installAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.install(abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+// Add a reference to the content with the given digest. If it is new, `oid` becomes its large object,
+// otherwise `oid` is unlinked. Gives the large object which contains the content.
+ContentStore.prototype._register = function(digest, oid, size, callback)
+{
+        var manager = this._manager;
+        var text = "INSERT INTO " + this._table + " AS content (digest, oid, size, refcount) VALUES ($1, $2, $3, 1) " +
+                "ON CONFLICT (digest) DO UPDATE SET refcount = content.refcount + 1 " +
+                "RETURNING content.oid";
+
+        manager._query({text: text, values: [digest, oid, size]}, function(err, result)
+        {
+                if (err) return callback(errors.translate(err, oid, 'store'));
+
+                var existing = result.rows[0].oid;
+                if (existing === oid)
+                {
+                        return callback(null, oid);
+                }
+
+                // duplicate content, drop the copy which has just been written
+                manager.unlink(oid, function(err)
+                {
+                        if (err) return callback(err);
+                        callback(null, existing);
+                });
+        });
+};
+
+/** @callback module:pg-large-object/lib/ContentStore~createWritableStreamCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {stream.Writable} stream Once this stream has emitted `finish`, its `oid`, `digest`, `size` and
+  *        `duplicate` (whether the content was already stored) properties are set.
+  */
+/** Returns a stream which stores the data written to it, and adds a reference to it.
+  * The data is written to a new large object while it is hashed. If the content store already contains
+  * the same data once all data has been written, the new large object is unlinked and the `oid` of the stream
+  * is the existing large object. Do not commit until the stream has emitted `finish`.
+  * @param {Object} [options]
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+  *        as reported by the progress event
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Abort creating the large object, or destroy the stream, when this signal is aborted
+  * @param {Number} [options.timeout] Abort if creating the large object takes longer than this many milliseconds,
+  *        or destroy the stream if no data has been written for this many milliseconds
+  * @param {module:pg-large-object/lib/ContentStore~createWritableStreamCallback} callback
+  */
+ContentStore.prototype.createWritableStream = function(options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+
+        this._manager.createAndWritableStream({
+                bufferSize: options.bufferSize,
+                total: options.total,
+                progressInterval: options.progressInterval,
+                signal: options.signal,
+                timeout: options.timeout,
+                hash: this.algorithm
+        }, function(err, oid, output)
+        {
+                if (err) return callback(err);
+
+                callback(null, new ContentWriteStream(this, oid, output, options));
+        }.bind(this));
+};
+
+/** Returns a stream which stores the data written to it, and adds a reference to it.
+ * The data is written to a new large object while it is hashed. If the content store already contains
+ * the same data once all data has been written, the new large object is unlinked and the `oid` of the stream
+ * is the existing large object. Do not commit until the stream has emitted `finish`.
+ * @param {Object} [options]
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+ *        as reported by the progress event
+ * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+ * @param {AbortSignal} [options.signal] Abort creating the large object, or destroy the stream, when this signal is aborted
+ * @param {Number} [options.timeout] Abort if creating the large object takes longer than this many milliseconds,
+ *        or destroy the stream if no data has been written for this many milliseconds
+ * @returns {Promise.<stream.Writable>}
+ */
+ContentStore.prototype.createWritableStreamAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.createWritableStream(options, callback);
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/ContentStore~storeCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {{oid: Number, digest: String, size: Number, duplicate: Boolean}} result
+  */
+/** Stores a buffer or the contents of a readable stream, and adds a reference to it.
+  * See createWritableStream().
+  * @param {Buffer|stream.Readable} source
+  * @param {Object} [options] See createWritableStream()
+  * @param {module:pg-large-object/lib/ContentStore~storeCallback} callback
+  */
+ContentStore.prototype.store = function(source, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (!Buffer.isBuffer(source) && !(source && typeof source.pipe === 'function'))
+        {
+                throw new errors.InvalidArgumentError('source must be a Buffer or a readable stream', 'store');
+        }
+
+        this.createWritableStream(options, function(err, output)
+        {
+                if (err) return callback(err);
+
+                if (Buffer.isBuffer(source))
+                {
+                        source = stream.Readable.from([source]);
+                }
+
+                stream.pipeline(source, output, function(err)
+                {
+                        if (err) return callback(err);
+
+                        callback(null, {oid: output.oid, digest: output.digest, size: output.size, duplicate: output.duplicate});
+                });
+        });
+};
+
+/** Stores a buffer or the contents of a readable stream, and adds a reference to it.
+ * See createWritableStream().
+ * @param {Buffer|stream.Readable} source
+ * @param {Object} [options] See createWritableStreamAsync()
+ * @returns {Promise.<{oid: Number, digest: String, size: Number, duplicate: Boolean}>}
+ */
+ContentStore.prototype.storeAsync = function(source, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.store(source, options, callback);
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/ContentStore~lookupCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {?module:pg-large-object/lib/ContentStore~Entry} entry `null` if the digest is not known
+  */
+/** Looks up the content with the given digest.
+  * @param {String} digest
+  * @param {module:pg-large-object/lib/ContentStore~lookupCallback} callback
+  */
+ContentStore.prototype.lookup = function(digest, callback)
+{
+        var text = "SELECT digest, oid, size, refcount FROM " + this._table + " WHERE digest = $1";
+
+        this._manager._query({text: text, values: [digest]}, function(err, result)
+        {
+                if (err) return callback(err);
+
+                callback(null, result.rows.length ? toEntry(result.rows[0]) : null);
+        });
+};
+
+/** Looks up the content with the given digest.
+ * @param {String} digest
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<?module:pg-large-object/lib/ContentStore~Entry>} `null` if the digest is not known
+ */
+ContentStore.prototype.lookupAsync = function(digest, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.lookup(digest, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/ContentStore~addReferenceCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {?Number} oid The large object which contains the content, `null` if the digest is not known
+  */
+/** Adds a reference to content which has already been stored, for example when a client knows the digest of
+  * a file, so that uploading it again can be skipped.
+  * @param {String} digest
+  * @param {module:pg-large-object/lib/ContentStore~addReferenceCallback} callback
+  */
+ContentStore.prototype.addReference = function(digest, callback)
+{
+        var text = "UPDATE " + this._table + " SET refcount = refcount + 1 WHERE digest = $1 RETURNING oid";
+
+        this._manager._query({text: text, values: [digest]}, function(err, result)
+        {
+                if (err) return callback(err);
+
+                callback(null, result.rows.length ? result.rows[0].oid : null);
+        });
+};
+
+/** Adds a reference to content which has already been stored, for example when a client knows the digest of
+ * a file, so that uploading it again can be skipped.
+ * @param {String} digest
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<?Number>} The large object which contains the content, `null` if the digest is not known
+ */
+ContentStore.prototype.addReferenceAsync = function(digest, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.addReference(digest, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/ContentStore~releaseCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {?Number} references The amount of references left (the large object has been unlinked if this is 0),
+  *        `null` if the digest is not known
+  */
+/** Drops a reference to the content with the given digest. When the last reference is dropped,
+  * the large object is unlinked.
+  * @param {String} digest
+  * @param {module:pg-large-object/lib/ContentStore~releaseCallback} callback
+  */
+ContentStore.prototype.release = function(digest, callback)
+{
+        var manager = this._manager;
+        var table = this._table;
+
+        // the updated row stays locked until the end of the transaction, so that concurrent calls
+        // for the same digest can not both drop the last reference
+        var text = "UPDATE " + table + " SET refcount = refcount - 1 WHERE digest = $1 AND refcount > 0 " +
+                "RETURNING oid, refcount";
+
+        manager._query({text: text, values: [digest]}, function(err, result)
+        {
+                if (err) return callback(errors.translate(err, undefined, 'release'));
+
+                if (!result.rows.length)
+                {
+                        return callback(null, null);
+                }
+
+                var row = result.rows[0];
+                var references = Number(row.refcount); // int8 values are returned as a string by node-postgres
+                if (references > 0)
+                {
+                        return callback(null, references);
+                }
+
+                manager._query({text: "DELETE FROM " + table + " WHERE digest = $1", values: [digest]}, function(err)
+                {
+                        if (err) return callback(errors.translate(err, row.oid, 'release'));
+
+                        manager.unlink(row.oid, function(err)
+                        {
+                                if (err) return callback(err);
+                                callback(null, 0);
+                        });
+                });
+        });
+};
+
+/** Drops a reference to the content with the given digest. When the last reference is dropped,
+ * the large object is unlinked.
+ * @param {String} digest
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<?Number>} The amount of references left (the large object has been unlinked if this is 0),
+ *          `null` if the digest is not known
+ */
+ContentStore.prototype.releaseAsync = function(digest, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.release(digest, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+module.exports = ContentStore;
@@ -0,0 +1,772 @@
+"use strict";
+
+var crypto = require('crypto');
+var promiseFromCallback = require('./promiseFromCallback');
+var abortable = require('./abortable');
+var errors = require('./errors');
+var LargeObject = require('./LargeObject');
+var ReadStream = require('./ReadStream');
+var WriteStream = require('./WriteStream');
+
+// Encrypted large objects start with a header:
+//   bytes 0-3   magic "PGLE"
+//   byte  4     format version (1)
+//   byte  5     the length of the key id in bytes
+//   bytes 6-9   the segment size as an unsigned big endian integer
+//   bytes 10-   the key id (utf8)
+// followed by the segments. Each segment contains `segmentSize` bytes of plain text (the last
+// segment may contain less, or nothing at all) and is stored as: IV (12 bytes), cipher text,
+// authentication tag (16 bytes). A segment which is filled while writing is followed by a new (empty)
+// last segment, so that every segment only has to be encrypted and stored once when streaming.
+// The header, the index of the segment and whether it is the last segment are authenticated as well,
+// so that segments can not be reordered and truncation is detected.
+var MAGIC = Buffer.from('PGLE', 'ascii');
+var VERSION = 1;
+var FIXED_HEADER_SIZE = 10;
+var IV_SIZE = 12;
+var TAG_SIZE = 16;
+var OVERHEAD = IV_SIZE + TAG_SIZE;
+var KEY_SIZE = 32;
+
+function closeOnAbort(obj)
+{
+        return {
+                onAbort: function()
+                {
+                        obj._abortClose();
+                }
+        };
+}
+
+function getKey(keyProvider, keyId, callback)
+{
+        Promise.resolve()
+        .then(function()
+        {
+                return keyProvider(keyId);
+        })
+        .then(function(key)
+        {
+                if (!Buffer.isBuffer(key) || key.length !== KEY_SIZE)
+                {
+                        throw new errors.InvalidArgumentError('The key provider must return a Buffer of 32 bytes');
+                }
+                return key;
+        })
+        .then(function(key)
+        {
+                callback(null, key);
+        }, callback);
+}
+
+function createHeader(keyId, segmentSize)
+{
+        var id = Buffer.from(keyId, 'utf8');
+        if (!id.length || id.length > 255)
+        {
+                throw new errors.InvalidArgumentError('keyId must be between 1 and 255 bytes long');
+        }
+
+        var header = Buffer.alloc(FIXED_HEADER_SIZE + id.length);
+        MAGIC.copy(header, 0);
+        header[4] = VERSION;
+        header[5] = id.length;
+        header.writeUInt32BE(segmentSize, 6);
+        id.copy(header, FIXED_HEADER_SIZE);
+        return header;
+}
+
+/** Random access to a large object which is encrypted using AES-256-GCM, in segments of a fixed size.
+  * This object can be used in place of a LargeObject for the methods listed below, and for ReadStream
+  * and WriteStream. Writes are buffered per segment; call `flush()` or `close()` to store them.
+  * Only one operation may be in progress at a time.
+  * Instances are created using LargeObjectManager.openEncrypted() or
+  * LargeObjectManager.createAndWritableStream({encrypt: ...}).
+  * @constructor
+  * @exports pg-large-object/lib/EncryptedLargeObject
+  * @param {module:pg-large-object/lib/LargeObject} largeObject
+  * @param {Buffer} header
+  * @param {Buffer} key
+  * @param {Number} storedSize The size of the large object including the header
+  */
+function EncryptedLargeObject(largeObject, header, key, storedSize)
+{
+        this._largeObject = largeObject;
+        this._header = header;
+        this._key = key;
+        this.oid = largeObject.oid;
+        this.keyId = header.slice(FIXED_HEADER_SIZE).toString('utf8');
+        this.segmentSize = header.readUInt32BE(6);
+
+        var stored = Math.max(0, storedSize - header.length);
+        var storedSegmentSize = this.segmentSize + OVERHEAD;
+        this._storedCount = Math.ceil(stored / storedSegmentSize);
+        this._segmentCount = Math.max(1, this._storedCount);
+        this._size = this._storedCount
+                ? (this._storedCount - 1) * this.segmentSize +
+                        (stored - (this._storedCount - 1) * storedSegmentSize - OVERHEAD)
+                : 0;
+        this._position = 0;
+        this._cache = null;
+}
+
+/** Validate the encryption options, before anything is opened.
+  * @private
+  * @param {Object} options See init()
+  * @param {String} operation The name of the method that was called
+  */
+EncryptedLargeObject.checkOptions = function(options, operation)
+{
+        if (!options || typeof options.keyProvider !== 'function')
+        {
+                throw new errors.InvalidArgumentError('The keyProvider option is required', operation);
+        }
+
+        var segmentSize = options.segmentSize === undefined ? 65536 : options.segmentSize;
+        if (!(segmentSize >= 1 && segmentSize <= 0x7FFFFFFF && segmentSize % 1 === 0))
+        {
+                throw new errors.InvalidArgumentError('segmentSize must be a positive integer', operation);
+        }
+};
+
+/** Wrap an opened large object. An empty large object is initialized using `options.keyId`.
+  * @private
+  * @param {module:pg-large-object/lib/LargeObject} largeObject
+  * @param {Object} options
+  * @param {function} options.keyProvider Called with a key id, returns the key (a Buffer of 32 bytes) or a promise
+  * @param {String} [options.keyId] The key to use if the large object is empty. Without it, an empty large
+  *        object gives a DecryptionError, because it does not contain a header.
+  * @param {Number} [options.segmentSize=65536] The segment size to use if the large object is empty
+  * @param {function} callback
+  */
+EncryptedLargeObject.init = function(largeObject, options, callback)
+{
+        var segmentSize = options.segmentSize || 65536;
+
+        largeObject.size(function(err, storedSize)
+        {
+                if (err) return callback(err);
+
+                storedSize = Number(storedSize); // int8 values are returned as a string by node-postgres
+
+                if (!storedSize)
+                {
+                        if (!options.keyId)
+                        {
+                                return callback(new errors.DecryptionError(largeObject.oid, 'it is not encrypted'));
+                        }
+
+                        var header;
+                        try
+                        {
+                                header = createHeader(options.keyId, segmentSize);
+                        }
+                        catch (err)
+                        {
+                                return callback(err);
+                        }
+
+                        return getKey(options.keyProvider, options.keyId, function(err, key)
+                        {
+                                if (err) return callback(err);
+
+                                largeObject.write(header, function(err)
+                                {
+                                        if (err) return callback(err);
+                                        callback(null, new EncryptedLargeObject(largeObject, header, key, header.length));
+                                });
+                        });
+                }
+
+                largeObject.read(FIXED_HEADER_SIZE, function(err, fixed)
+                {
+                        if (err) return callback(err);
+
+                        if (fixed.length < FIXED_HEADER_SIZE ||
+                                !fixed.slice(0, MAGIC.length).equals(MAGIC) ||
+                                fixed[4] !== VERSION ||
+                                !fixed.readUInt32BE(6))
+                        {
+                                return callback(new errors.DecryptionError(largeObject.oid, 'it is not encrypted'));
+                        }
+
+                        largeObject.read(fixed[5], function(err, id)
+                        {
+                                if (err) return callback(err);
+
+                                var header = Buffer.concat([fixed, id]);
+                                getKey(options.keyProvider, id.toString('utf8'), function(err, key)
+                                {
+                                        if (err) return callback(err);
+                                        callback(null, new EncryptedLargeObject(largeObject, header, key, storedSize));
+                                });
+                        });
+                });
+        });
+};
+
+EncryptedLargeObject.prototype._storedOffset = function(index)
+{
+        return this._header.length + index * (this.segmentSize + OVERHEAD);
+};
+
+// The last flag is derived from _segmentCount only, both when storing and when loading a segment.
+// A segment that is no longer the last one is always stored again (see _extend() and write())
+EncryptedLargeObject.prototype._additionalData = function(index)
+{
+        var data = Buffer.alloc(9);
+        data.writeUInt32BE(Math.floor(index / 0x100000000), 0);
+        data.writeUInt32BE(index % 0x100000000, 4);
+        data[8] = index === this._segmentCount - 1 ? 1 : 0;
+        return Buffer.concat([this._header, data]);
+};
+
+// Store the cached segment if it has been modified
+EncryptedLargeObject.prototype._flushCache = function(callback)
+{
+        var cache = this._cache;
+        if (!cache || !cache.dirty)
+        {
+                return callback(null);
+        }
+
+        var iv = crypto.randomBytes(IV_SIZE);
+        var cipher = crypto.createCipheriv('aes-256-gcm', this._key, iv);
+        cipher.setAAD(this._additionalData(cache.index));
+        var stored = Buffer.concat([iv, cipher.update(cache.data), cipher.final(), cipher.getAuthTag()]);
+
+        this._largeObject.seek(this._storedOffset(cache.index), LargeObject.SEEK_SET, function(err)
+        {
+                if (err) return callback(err);
+
+                this._largeObject.write(stored, function(err)
+                {
+                        if (err) return callback(err);
+
+                        cache.dirty = false;
+                        this._storedCount = Math.max(this._storedCount, cache.index + 1);
+                        callback(null);
+                }.bind(this));
+        }.bind(this));
+};
+
+// Make the given segment the cached segment
+EncryptedLargeObject.prototype._loadSegment = function(index, callback)
+{
+        if (this._cache && this._cache.index === index)
+        {
+                return callback(null, this._cache);
+        }
+
+        this._flushCache(function(err)
+        {
+                if (err) return callback(err);
+
+                if (index >= this._storedCount)
+                {
+                        this._cache = {index: index, data: Buffer.alloc(0), dirty: true};
+                        return callback(null, this._cache);
+                }
+
+                this._largeObject.seek(this._storedOffset(index), LargeObject.SEEK_SET, function(err)
+                {
+                        if (err) return callback(err);
+
+                        this._largeObject.read(this.segmentSize + OVERHEAD, function(err, stored)
+                        {
+                                if (err) return callback(err);
+
+                                var data;
+                                try
+                                {
+                                        var decipher = crypto.createDecipheriv('aes-256-gcm', this._key, stored.slice(0, IV_SIZE));
+                                        decipher.setAAD(this._additionalData(index));
+                                        decipher.setAuthTag(stored.slice(stored.length - TAG_SIZE));
+                                        data = Buffer.concat([
+                                                decipher.update(stored.slice(IV_SIZE, stored.length - TAG_SIZE)),
+                                                decipher.final()
+                                        ]);
+                                }
+                                catch (err)
+                                {
+                                        return callback(new errors.DecryptionError(
+                                                this.oid,
+                                                'segment ' + index + ' could not be authenticated (wrong key, or the data has been modified)'
+                                        ));
+                                }
+
+                                this._cache = {index: index, data: data, dirty: false};
+                                callback(null, this._cache);
+                        }.bind(this));
+                }.bind(this));
+        }.bind(this));
+};
+
+// Grow to the given segment: every segment before it must be full, and the current
+// last segment must be stored again (when it is not full, or has already been stored as the last one)
+EncryptedLargeObject.prototype._extend = function(index, callback)
+{
+        var segmentSize = this.segmentSize;
+
+        if (index < this._segmentCount)
+        {
+                return callback(null);
+        }
+
+        var fill = function(current)
+        {
+                if (current >= index)
+                {
+                        this._segmentCount = index + 1;
+                        return callback(null);
+                }
+
+                this._loadSegment(current, function(err, cache)
+                {
+                        if (err) return callback(err);
+
+                        if (cache.data.length < segmentSize)
+                        {
+                                cache.data = Buffer.concat([cache.data, Buffer.alloc(segmentSize - cache.data.length)]);
+                        }
+                        cache.dirty = true;
+
+                        this._size = Math.max(this._size, (current + 1) * segmentSize);
+                        this._segmentCount = Math.max(this._segmentCount, current + 2);
+                        fill(current + 1);
+                }.bind(this));
+        }.bind(this);
+
+        fill(this._segmentCount - 1);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~readCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Buffer} data The decrypted data. If the length of this buffer is less than
+  *        the supplied length param, there is no more data to be read.
+  */
+/** Reads and decrypts some data, starting at the current position.
+  * @param {Number} length How many bytes to read
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~readCallback} callback
+  */
+EncryptedLargeObject.prototype.read = function(length, callback)
+{
+        var end = Math.min(this._position + length, this._size);
+        var chunks = [];
+
+        var next = function()
+        {
+                if (this._position >= end)
+                {
+                        return callback(null, Buffer.concat(chunks));
+                }
+
+                var index = Math.floor(this._position / this.segmentSize);
+                var offset = this._position % this.segmentSize;
+
+                this._loadSegment(index, function(err, cache)
+                {
+                        if (err) return callback(err);
+
+                        var chunk = cache.data.slice(offset, offset + end - this._position);
+                        chunks.push(chunk);
+                        this._position += chunk.length;
+                        next();
+                }.bind(this));
+        }.bind(this);
+
+        next();
+};
+
+/** Reads and decrypts some data, starting at the current position.
+ * @param {Number} length How many bytes to read
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<Buffer>}
+ */
+EncryptedLargeObject.prototype.readAsync = function(length, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.read(length, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~writeCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Encrypts and writes some data at the current position. Writing beyond the end fills the gap with zero bytes.
+  * The data is stored when a segment has been filled, or when flush() or close() is called.
+  * @param {Buffer} buffer
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~writeCallback} [callback]
+  * @returns {Promise|undefined} A promise, if no callback is given
+  */
+EncryptedLargeObject.prototype.write = function(buffer, callback)
+{
+        if (!callback)
+        {
+                return this.writeAsync(buffer);
+        }
+
+        var written = 0;
+
+        var next = function()
+        {
+                if (written >= buffer.length)
+                {
+                        return callback(null);
+                }
+
+                var index = Math.floor(this._position / this.segmentSize);
+                var offset = this._position % this.segmentSize;
+
+                this._extend(index, function(err)
+                {
+                        if (err) return callback(err);
+
+                        this._loadSegment(index, function(err, cache)
+                        {
+                                if (err) return callback(err);
+
+                                var length = Math.min(this.segmentSize - offset, buffer.length - written);
+                                if (cache.data.length < offset + length)
+                                {
+                                        cache.data = Buffer.concat([cache.data, Buffer.alloc(offset + length - cache.data.length)]);
+                                }
+
+                                buffer.copy(cache.data, offset, written, written + length);
+                                cache.dirty = true;
+                                written += length;
+                                this._position += length;
+                                this._size = Math.max(this._size, this._position);
+
+                                if (offset + length === this.segmentSize)
+                                {
+                                        if (index === this._segmentCount - 1)
+                                        {
+                                                // a full segment is never the last one, so that it does not have
+                                                // to be stored again if more data is written
+                                                this._segmentCount = index + 2;
+                                        }
+
+                                        // the segment is full, store it right away to keep the amount of buffered data small
+                                        return this._flushCache(function(err)
+                                        {
+                                                if (err) return callback(err);
+                                                next();
+                                        });
+                                }
+
+                                next();
+                        }.bind(this));
+                }.bind(this));
+        }.bind(this);
+
+        next();
+};
+
+/** Encrypts and writes some data at the current position.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+EncryptedLargeObject.prototype.writeAsync = function(buffer, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.write(buffer, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** Reads and decrypts some data at the given offset, without changing the current position.
+  * @param {Number} offset
+  * @param {Number} length How many bytes to read
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~readCallback} callback
+  */
+EncryptedLargeObject.prototype.readAt = function(offset, length, callback)
+{
+        var position = this._position;
+        this.seek(offset, LargeObject.SEEK_SET);
+        this.read(length, function(err, data)
+        {
+                this._position = position;
+                callback(err, data);
+        }.bind(this));
+};
+
+/** Reads and decrypts some data at the given offset, without changing the current position.
+ * @param {Number} offset
+ * @param {Number} length How many bytes to read
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<Buffer>}
+ */
+EncryptedLargeObject.prototype.readAtAsync = function(offset, length, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.readAt(offset, length, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** Encrypts and writes some data at the given offset, without changing the current position.
+  * @param {Number} offset
+  * @param {Buffer} buffer
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~writeCallback} [callback]
+  * @returns {Promise|undefined} A promise, if no callback is given
+  */
+EncryptedLargeObject.prototype.writeAt = function(offset, buffer, callback)
+{
+        if (!callback)
+        {
+                return this.writeAtAsync(offset, buffer);
+        }
+
+        var position = this._position;
+        this.seek(offset, LargeObject.SEEK_SET);
+        this.write(buffer, function(err)
+        {
+                this._position = position;
+                callback(err);
+        }.bind(this));
+};
+
+/** Encrypts and writes some data at the given offset, without changing the current position.
+ * @param {Number} offset
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+EncryptedLargeObject.prototype.writeAtAsync = function(offset, buffer, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.writeAt(offset, buffer, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~flushCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Stores the data that has been written, but not stored yet.
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~flushCallback} [callback]
+  * @returns {Promise|undefined} A promise, if no callback is given
+  */
+EncryptedLargeObject.prototype.flush = function(callback)
+{
+        if (!callback)
+        {
+                return this.flushAsync();
+        }
+
+        var flushCache = function()
+        {
+                this._flushCache(callback);
+        }.bind(this);
+
+        if (this._storedCount >= this._segmentCount)
+        {
+                return flushCache();
+        }
+
+        // the last segment has to be stored even if it is empty, so that truncation can be detected
+        this._loadSegment(this._segmentCount - 1, function(err)
+        {
+                if (err) return callback(err);
+                flushCache();
+        });
+};
+
+/** Stores the data that has been written, but not stored yet.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+EncryptedLargeObject.prototype.flushAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.flush(abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~seekCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} position The new position
+  */
+/** Sets the position within the decrypted data.
+  * @param {Number} position
+  * @param {Number} ref One of LargeObject.SEEK_SET, SEEK_CUR, SEEK_END
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~seekCallback} [callback]
+  */
+EncryptedLargeObject.prototype.seek = function(position, ref, callback)
+{
+        var base = ref === LargeObject.SEEK_CUR ? this._position : ref === LargeObject.SEEK_END ? this._size : 0;
+        position = base + Number(position);
+
+        if (!(position >= 0))
+        {
+                throw new errors.InvalidArgumentError('The position must not be negative', 'seek');
+        }
+
+        this._position = position;
+
+        if (callback)
+        {
+                process.nextTick(callback, null, position);
+        }
+};
+
+/** Sets the position within the decrypted data.
+ * @param {Number} position
+ * @param {Number} ref One of LargeObject.SEEK_SET, SEEK_CUR, SEEK_END
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<number>} The new position
+ */
+EncryptedLargeObject.prototype.seekAsync = function(position, ref, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.seek(position, ref, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~tellCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} position
+  */
+/** Retrieves the current position within the decrypted data.
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~tellCallback} callback
+  */
+EncryptedLargeObject.prototype.tell = function(callback)
+{
+        process.nextTick(callback, null, this._position);
+};
+
+/** Retrieves the current position within the decrypted data.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<number>}
+ */
+EncryptedLargeObject.prototype.tellAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.tell(abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~sizeCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} size The size of the decrypted data in bytes
+  */
+/** Find the size of the decrypted data.
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~sizeCallback} callback
+  */
+EncryptedLargeObject.prototype.size = function(callback)
+{
+        process.nextTick(callback, null, this._size);
+};
+
+/** Find the size of the decrypted data.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<number>}
+ */
+EncryptedLargeObject.prototype.sizeAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.size(abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/EncryptedLargeObject~closeCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Stores the data that has not been stored yet and closes the large object.
+  * @param {module:pg-large-object/lib/EncryptedLargeObject~closeCallback} [callback]
+  */
+EncryptedLargeObject.prototype.close = function(callback)
+{
+        this._largeObject._assertOpen('close');
+
+        var needsFlush = this._storedCount < this._segmentCount || (this._cache && this._cache.dirty);
+        var close = function()
+        {
+                this._largeObject.close(callback);
+        }.bind(this);
+
+        if (!needsFlush)
+        {
+                return close();
+        }
+
+        this.flush(function(err)
+        {
+                if (err)
+                {
+                        this._largeObject._abortClose();
+                        if (callback) callback(err);
+                        return;
+                }
+                close();
+        }.bind(this));
+};
+
+/** Stores the data that has not been stored yet and closes the large object.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+EncryptedLargeObject.prototype.closeAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.close(abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** Close the underlying large object without storing buffered data.
+  * @private
+  * @param {function} [callback]
+  */
+EncryptedLargeObject.prototype._abortClose = function(callback)
+{
+        this._largeObject._abortClose(callback);
+};
+
+/** Return a stream to read the decrypted data, starting at the current position.
+  * @param {Number|Object} [options] See LargeObject.getReadableStream()
+  * @returns {module:pg-large-object/lib/ReadStream}
+  */
+EncryptedLargeObject.prototype.getReadableStream = function(options)
+{
+        this._largeObject._assertOpen('getReadableStream');
+        return new ReadStream(this, options);
+};
+
+/** Return a stream which encrypts the data written to it, starting at the current position.
+  * All data has been stored when the stream emits `finish`.
+  * @param {Number|Object} [options] See LargeObject.getWritableStream()
+  * @returns {module:pg-large-object/lib/WriteStream}
+  */
+EncryptedLargeObject.prototype.getWritableStream = function(options)
+{
+        this._largeObject._assertOpen('getWritableStream');
+        return new WriteStream(this, options);
+};
+
+module.exports = EncryptedLargeObject;
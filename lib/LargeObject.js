@@ -1,20 +1,43 @@
 "use strict";
 
 var promiseFromCallback = require('./promiseFromCallback');
+var abortable = require('./abortable');
+var errors = require('./errors');
 var ReadStream = require('./ReadStream');
 var WriteStream = require('./WriteStream');
 
+function closeOnAbort(obj)
+{
+        return {
+                onAbort: function()
+                {
+                        obj._abortClose();
+                }
+        };
+}
 
 /** Represents an opened large object.
+  * Calling any method after the large object has been closed throws an ObjectClosedError.
   * 
   * @constructor
   * @exports pg-large-object/lib/LargeObject
+  * @param {function} query
+  * @param {Number} oid
+  * @param {Number} fd
+  * @param {Set} [openObjects] A set which contains this large object for as long as it is open
   */
-function LargeObject(query, oid, fd)
+function LargeObject(query, oid, fd, openObjects)
 {
         this._query = query;
         this.oid = oid;
         this._fd = fd;
+        this._closed = false;
+        this._openObjects = openObjects || null;
+
+        if (this._openObjects)
+        {
+                this._openObjects.add(this);
+        }
 }
 
 /**
@@ -44,27 +67,70 @@ LargeObject.SEEK_END = 2;
   */
 LargeObject.prototype.close = function(callback)
 {
+        this._assertOpen('close');
+        this._closed = true;
+
+        if (this._openObjects)
+        {
+                this._openObjects.delete(this);
+        }
+
         this._query(
                 {name: "npg_lo_close", text:"SELECT lo_close($1) as ok", values: [this._fd]},
                 callback ? function(err, result)
                 {
-                        callback(err);       
-                } : undefined
+                        callback(errors.translate(err, this.oid, 'close', true));
+                }.bind(this) : undefined
         );
 };
 
 /** Closes this large object.
  *  You should no longer call any methods on this object.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
  * @returns {Promise}
  */
-LargeObject.prototype.closeAsync = function()
+LargeObject.prototype.closeAsync = function(options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.close(callback);
+                this.close(abortable.wrapCallback(options, callback));
         }, this);
 };
 
+/** Throw an ObjectClosedError if this large object has been closed.
+  * @private
+  * @param {String} operation
+  */
+LargeObject.prototype._assertOpen = function(operation)
+{
+        if (this._closed)
+        {
+                throw new errors.ObjectClosedError(this.oid, operation);
+        }
+};
+
+/** Close this large object if that has not happened yet, for example after an operation or stream
+  * has been aborted. Errors are only passed to the callback, if one is given: the operation that is being
+  * aborted has already reported its own error (the descriptor is closed at the end of the transaction anyway).
+  * @private
+  * @param {function} [callback]
+  */
+LargeObject.prototype._abortClose = function(callback)
+{
+        if (this._closed)
+        {
+                if (callback) callback(null);
+                return;
+        }
+
+        this.close(function(err)
+        {
+                if (callback) callback(err);
+        });
+};
+
 /** @callback module:pg-large-object/lib/LargeObject~readCallback
   * @param {?Error} error If set, an error occurred.
   * @param {Buffer} data The binary data that was read.
@@ -77,29 +143,84 @@ LargeObject.prototype.closeAsync = function()
   */
 LargeObject.prototype.read = function(length, callback)
 {
+        this._assertOpen('read');
+
         this._query(
                 {name: "npg_loread", text:"SELECT loread($1, $2) as data", values: [this._fd, length]},
                 function(err, result)
                 {
-                        if (err) return callback(err);
+                        if (err) return callback(errors.translate(err, this.oid, 'read', true));
                         
                         var data = result.rows[0].data;
                         callback(null, data);
-                }
+                }.bind(this)
         );
 };
 
 /** Reads some data from the large object.
  * @param {Number} length How many bytes to read
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
  * @returns {Promise.<Buffer>} The binary data that was read.
  *          If the length of this buffer is less than the supplied
  *          length param, there is no more data to be read.
  */
-LargeObject.prototype.readAsync = function(length)
+LargeObject.prototype.readAsync = function(length, options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.read(length, callback);
+                this.read(length, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObject~readChunksCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Array.<Buffer>} chunks The chunks that have been read, in order. If the length of
+  *        a chunk is less than the supplied length param, there is no more data to be read.
+  */
+/** Reads several consecutive chunks of data using a single statement, which saves
+  * a round trip for each chunk after the first one.
+  * @param {Number} length How many bytes to read per chunk
+  * @param {Number} count How many chunks to read
+  * @param {module:pg-large-object/lib/LargeObject~readChunksCallback} callback
+  */
+LargeObject.prototype.readChunks = function(length, count, callback)
+{
+        this._assertOpen('readChunks');
+
+        this._query(
+                {
+                        name: "npg_loread_chunks",
+                        text: "SELECT loread($1, $2) AS data FROM generate_series(1, $3) AS chunk ORDER BY chunk",
+                        values: [this._fd, length, count]
+                },
+                function(err, result)
+                {
+                        if (err) return callback(errors.translate(err, this.oid, 'readChunks', true));
+
+                        callback(null, result.rows.map(function(row)
+                        {
+                                return row.data;
+                        }));
+                }.bind(this)
+        );
+};
+
+/** Reads several consecutive chunks of data using a single statement, which saves
+ * a round trip for each chunk after the first one.
+ * @param {Number} length How many bytes to read per chunk
+ * @param {Number} count How many chunks to read
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<Array.<Buffer>>} The chunks that have been read, in order
+ */
+LargeObject.prototype.readChunksAsync = function(length, count, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.readChunks(length, count, abortable.wrapCallback(options, callback, closeOnAbort(this)));
         }, this);
 };
 
@@ -112,24 +233,132 @@ LargeObject.prototype.readAsync = function(length)
   */
 LargeObject.prototype.write = function(buffer, callback)
 {
+        this._assertOpen('write');
+
         this._query(
                 {name: "npg_lowrite", text:"SELECT lowrite($1, $2)", values: [this._fd, buffer]},
                 callback ? function(err, result)
                 {
-                        callback(err);
-                } : undefined
+                        callback(errors.translate(err, this.oid, 'write', true));
+                }.bind(this) : undefined
         );
 };
 
 /** Writes some data to the large object.
  * @param {Buffer} buffer data to write
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObject.prototype.writeAsync = function(buffer, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.write(buffer, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** Reads some data at the given offset, without changing the current position.
+  * The seek, the read and restoring the position are performed by a single statement.
+  * Beware floating point rounding with values greater than 2^53 (8192 TiB)
+  * @param {Number} offset
+  * @param {Number} length How many bytes to read
+  * @param {module:pg-large-object/lib/LargeObject~readCallback} callback
+  */
+LargeObject.prototype.readAt = function(offset, length, callback)
+{
+        this._assertOpen('readAt');
+
+        if (!(offset >= 0))
+        {
+                throw new errors.InvalidArgumentError('offset must not be negative', 'readAt');
+        }
+
+        var text = "SELECT lo_lseek64($1, location, 0), io.data FROM " +
+                "(SELECT loread($1, $3) AS data, seek.location FROM " +
+                        "(SELECT lo_lseek64($1, $2, 0) AS position, tell.location FROM " +
+                                "(SELECT lo_tell64($1) AS location) tell) " +
+                        "seek) " +
+                "io;";
+        this._query(
+                {name: "npg_read_at", text: text, values: [this._fd, offset, length]},
+                function(err, result)
+                {
+                        if (err) return callback(errors.translate(err, this.oid, 'readAt', true));
+
+                        var data = result.rows[0].data;
+                        callback(null, data);
+                }.bind(this)
+        );
+};
+
+/** Reads some data at the given offset, without changing the current position.
+ * The seek, the read and restoring the position are performed by a single statement.
+ * @param {Number} offset
+ * @param {Number} length How many bytes to read
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<Buffer>} The binary data that was read.
+ *          If the length of this buffer is less than the supplied
+ *          length param, there is no more data to be read.
+ */
+LargeObject.prototype.readAtAsync = function(offset, length, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.readAt(offset, length, abortable.wrapCallback(options, callback, closeOnAbort(this)));
+        }, this);
+};
+
+/** Writes some data at the given offset, without changing the current position.
+  * The seek, the write and restoring the position are performed by a single statement.
+  * Writing beyond the end of the large object fills the gap with zero bytes.
+  * Beware floating point rounding with values greater than 2^53 (8192 TiB)
+  * @param {Number} offset
+  * @param {Buffer} buffer data to write
+  * @param {module:pg-large-object/lib/LargeObject~writeCallback} [callback]
+  */
+LargeObject.prototype.writeAt = function(offset, buffer, callback)
+{
+        this._assertOpen('writeAt');
+
+        if (!(offset >= 0))
+        {
+                throw new errors.InvalidArgumentError('offset must not be negative', 'writeAt');
+        }
+
+        var text = "SELECT lo_lseek64($1, location, 0), io.written FROM " +
+                "(SELECT lowrite($1, $3) AS written, seek.location FROM " +
+                        "(SELECT lo_lseek64($1, $2, 0) AS position, tell.location FROM " +
+                                "(SELECT lo_tell64($1) AS location) tell) " +
+                        "seek) " +
+                "io;";
+        this._query(
+                {name: "npg_write_at", text: text, values: [this._fd, offset, buffer]},
+                callback ? function(err, result)
+                {
+                        callback(errors.translate(err, this.oid, 'writeAt', true));
+                }.bind(this) : undefined
+        );
+};
+
+/** Writes some data at the given offset, without changing the current position.
+ * The seek, the write and restoring the position are performed by a single statement.
+ * Writing beyond the end of the large object fills the gap with zero bytes.
+ * @param {Number} offset
+ * @param {Buffer} buffer data to write
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
  * @returns {Promise}
  */
-LargeObject.prototype.writeAsync = function(buffer)
+LargeObject.prototype.writeAtAsync = function(offset, buffer, options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.write(buffer, callback);
+                this.writeAt(offset, buffer, abortable.wrapCallback(options, callback, closeOnAbort(this)));
         }, this);
 };
 
@@ -145,15 +374,17 @@ LargeObject.prototype.writeAsync = function(buffer)
   */
 LargeObject.prototype.seek = function(position, ref, callback)
 {
+        this._assertOpen('seek');
+
         this._query(
                 {name: "npg_lo_lseek64", text:"SELECT lo_lseek64($1, $2, $3) as location", values: [this._fd, position, ref]},
                 callback ? function(err, result)
                 {
-                        if (err) return callback(err);
+                        if (err) return callback(errors.translate(err, this.oid, 'seek', true));
                         
                         var location = result.rows[0].location;
                         callback(null, location);
-                } : undefined
+                }.bind(this) : undefined
         );
 };
 
@@ -161,13 +392,16 @@ LargeObject.prototype.seek = function(position, ref, callback)
  * Beware floating point rounding with values greater than 2^53 (8192 TiB)
  * @param {Number} position
  * @param {Number} ref One of SEEK_SET, SEEK_CUR, SEEK_END
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
  * @returns {Promise.<number>} The new position
  */
-LargeObject.prototype.seekAsync = function(position, ref)
+LargeObject.prototype.seekAsync = function(position, ref, options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.seek(position, ref, callback);
+                this.seek(position, ref, abortable.wrapCallback(options, callback, closeOnAbort(this)));
         }, this);
 };
 
@@ -181,27 +415,32 @@ LargeObject.prototype.seekAsync = function(position, ref)
   */
 LargeObject.prototype.tell = function(callback)
 {
+        this._assertOpen('tell');
+
         this._query(
                 {name: "npg_lo_tell64", text:"SELECT lo_tell64($1) as location", values: [this._fd]},
                 function(err, result)
                 {
-                        if (err) return callback(err);
+                        if (err) return callback(errors.translate(err, this.oid, 'tell', true));
                         
                         var location = result.rows[0].location;
                         callback(null, location);
-                }
+                }.bind(this)
         );
 };
 
 /** Retrieves the current position within the large object.
  * Beware floating point rounding with values greater than 2^53 (8192 TiB)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
  * @returns {Promise.<number>}
  */
-LargeObject.prototype.tellAsync = function()
+LargeObject.prototype.tellAsync = function(options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.tell(callback);
+                this.tell(abortable.wrapCallback(options, callback, closeOnAbort(this)));
         }, this);
 };
 
@@ -214,6 +453,8 @@ LargeObject.prototype.tellAsync = function()
   */
 LargeObject.prototype.size = function(callback)
 {
+        this._assertOpen('size');
+
         var text = "SELECT lo_lseek64($1, location, 0), seek.size FROM " +
                 "(SELECT lo_lseek64($1, 0, 2) AS SIZE, tell.location FROM " + 
                         "(SELECT lo_tell64($1) AS location) tell) "+ 
@@ -222,22 +463,25 @@ LargeObject.prototype.size = function(callback)
                 {name: "npg_size", text: text, values: [this._fd]},
                 function(err, result)
                 {
-                        if (err) return callback(err);
+                        if (err) return callback(errors.translate(err, this.oid, 'size', true));
                         
                         var size = result.rows[0].size;
                         callback(null, size);
-                }
+                }.bind(this)
         );
 };
 
 /** Find the total size of the large object.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
  * @returns {Promise.<number>}
  */
-LargeObject.prototype.sizeAsync = function()
+LargeObject.prototype.sizeAsync = function(options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.size(callback);
+                this.size(abortable.wrapCallback(options, callback, closeOnAbort(this)));
         }, this);
 };
 
@@ -253,12 +497,14 @@ LargeObject.prototype.sizeAsync = function()
   */
 LargeObject.prototype.truncate = function(length, callback)
 {
+        this._assertOpen('truncate');
+
         this._query(
                 {name: "npg_lo_truncate64", text:"SELECT lo_truncate64($1, $2)", values: [this._fd, length]},
                 callback ? function(err, result)
                 {
-                        callback(err);
-                } : undefined
+                        callback(errors.translate(err, this.oid, 'truncate', true));
+                }.bind(this) : undefined
         );
 };
 
@@ -267,42 +513,217 @@ LargeObject.prototype.truncate = function(length, callback)
  * object length, the large object will be filled with zero
  * bytes.  This method does not modify the current file offset.
  * @param {Number} length
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close this large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close this large object) if it takes longer than this many milliseconds
  * @returns {Promise}
  */
-LargeObject.prototype.truncateAsync = function(length)
+LargeObject.prototype.truncateAsync = function(length, options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.truncate(length, callback);
+                this.truncate(length, abortable.wrapCallback(options, callback, closeOnAbort(this)));
         }, this);
 };
 
 /** Return a stream to read this large object.
   * Call this within a transaction block.
-  * @param {Number} [bufferSize=16384] A larger buffer size will 
+  * @param {Number|Object} [options] The buffer size, or an object with options
+  * @param {Number} [options.bufferSize=16384] A larger buffer size will 
   * require more memory on both the server and client, however it will make 
   * transfers faster because there is less overhead (less read calls to the server). 
   * his overhead is most noticeable on high latency connections because each 
   * ransfered chunk will incur at least RTT of additional transfer time.
+  * @param {Number} [options.length] Stop streaming after this many bytes, instead of at the
+  * end of the large object.
+  * @param {Number} [options.total] The total amount of bytes that will be read, as reported
+  * by the progress event. Defaults to `length`.
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Destroy the stream and close this large object when this signal is aborted
+  * @param {Number} [options.timeout] Destroy the stream and close this large object if no data has been
+  * requested for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+  * which is available as `stream.digest` once the end has been reached
+  * @param {String} [options.expectedHash] The expected digest (hex) of the data. If it does not match once
+  * the end has been reached, the stream emits a ChecksumMismatchError instead of `end`.
+  * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip
+  * (see readChunks()), which improves throughput on high latency connections. The chunks are only
+  * requested when the consumer asks for more data, so backpressure still applies.
   * @returns {module:pg-large-object/lib/ReadStream}
   */
-LargeObject.prototype.getReadableStream = function(bufferSize)
+LargeObject.prototype.getReadableStream = function(options)
 {
-        return new ReadStream(this, bufferSize);
+        this._assertOpen('getReadableStream');
+
+        return new ReadStream(this, options);
 };
 
 /** Return a stream to write to this large object.
   * Call this within a transaction block.
-  * @param {Number} [bufferSize=16384] A larger buffer size will 
+  * @param {Number|Object} [options] The buffer size, or an object with options
+  * @param {Number} [options.bufferSize=16384] A larger buffer size will 
   * require more memory on both the server and client, however it will make 
   * transfers faster because there is less overhead (less read calls to the server). 
   * his overhead is most noticeable on high latency connections because each 
   * ransfered chunk will incur at least RTT of additional transfer time.  
+  * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+  * as reported by the progress event
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Destroy the stream and close this large object when this signal is aborted
+  * @param {Number} [options.timeout] Destroy the stream and close this large object if no data has been
+  * written for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+  * which is available as `stream.digest` once all data has been written
+  * @param {Number} [options.blockSize=2048] Small chunks are combined and written in multiples of this
+  * many bytes, so that the amount of round trips does not depend on how the data has been chunked.
+  * The default matches the page size of large objects (LOBLKSIZE). Set to 1 to write every chunk as-is.
   * @returns {module:pg-large-object/lib/WriteStream}
   */
-LargeObject.prototype.getWritableStream = function(bufferSize)
+LargeObject.prototype.getWritableStream = function(options)
 {
-        return new WriteStream(this, bufferSize);
+        this._assertOpen('getWritableStream');
+
+        return new WriteStream(this, options);
 };
 
+/** Return an async iterator which reads this large object in chunks,
+  * starting at the current position.
+  * Call this within a transaction block.
+  * @example for await (const chunk of obj.getAsyncIterator(65536)) { ... }
+  * @param {Number} [chunkSize=16384] The maximum size of each yielded Buffer
+  * @returns {AsyncIterator.<Buffer>}
+  */
+LargeObject.prototype.getAsyncIterator = function(chunkSize)
+{
+        this._assertOpen('getAsyncIterator');
+
+        var obj = this;
+        var done = false;
+        chunkSize = chunkSize || 16384;
+
+        if (chunkSize <= 0)
+        {
+                throw new errors.InvalidArgumentError('chunkSize must be a positive number', 'getAsyncIterator');
+        }
+
+        var iterator = {
+                next: function()
+                {
+                        if (done)
+                        {
+                                return Promise.resolve({value: undefined, done: true});
+                        }
+
+                        return obj.readAsync(chunkSize).then(function(data)
+                        {
+                                if (data.length < chunkSize)
+                                {
+                                        done = true; // the large object has no more data left
+                                }
+
+                                if (!data.length)
+                                {
+                                        return {value: undefined, done: true};
+                                }
+
+                                return {value: data, done: false};
+                        });
+                },
+                return: function()
+                {
+                        done = true;
+                        return Promise.resolve({value: undefined, done: true});
+                }
+        };
+
+        iterator[Symbol.asyncIterator] = function()
+        {
+                return iterator;
+        };
+
+        return iterator;
+};
+
+/** Read this large object in chunks of 16384 bytes, starting at the current position.
+  * Call this within a transaction block.
+  * @example for await (const chunk of obj) { ... }
+  * @returns {AsyncIterator.<Buffer>}
+  */
+LargeObject.prototype[Symbol.asyncIterator] = function()
+{
+        return this.getAsyncIterator();
+};
+
+/** Return a WHATWG ReadableStream to read this large object, starting at the
+  * current position. Requires node.js 16.5 or higher.
+  * Call this within a transaction block.
+  * @param {Number} [bufferSize=16384] The maximum size of each chunk
+  * @returns {ReadableStream}
+  */
+LargeObject.prototype.getWebReadableStream = function(bufferSize)
+{
+        this._assertOpen('getWebReadableStream');
+
+        var web = require('stream/web');
+        var obj = this;
+        bufferSize = bufferSize || 16384;
+
+        return new web.ReadableStream({
+                pull: function(controller)
+                {
+                        return obj.readAsync(bufferSize).then(function(data)
+                        {
+                                if (data.length)
+                                {
+                                        controller.enqueue(data);
+                                }
+
+                                if (data.length < bufferSize)
+                                {
+                                        controller.close(); // the large object has no more data left
+                                }
+                        });
+                }
+        });
+};
+
+/** Return a WHATWG WritableStream to write to this large object, starting at the
+  * current position. Requires node.js 16.5 or higher.
+  * Call this within a transaction block.
+  * @returns {WritableStream}
+  */
+LargeObject.prototype.getWebWritableStream = function()
+{
+        this._assertOpen('getWebWritableStream');
+
+        var web = require('stream/web');
+        var obj = this;
+
+        return new web.WritableStream({
+                write: function(chunk)
+                {
+                        if (!(chunk instanceof Uint8Array))
+                        {
+                                throw new errors.InvalidArgumentError('Only Uint8Array chunks can be written', 'write');
+                        }
+
+                        var buffer = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+                        return obj.writeAsync(buffer);
+                }
+        });
+};
+
+if (typeof Symbol.asyncDispose === 'symbol')
+{
+        /** Close this large object, unless that has already happened.
+          * This lets you use explicit resource management (node.js 20.4 or higher).
+          * @example await using obj = await man.openAsync(oid, LargeObjectManager.READ);
+          * @returns {Promise}
+          */
+        LargeObject.prototype[Symbol.asyncDispose] = function()
+        {
+                return this._closed ? Promise.resolve() : this.closeAsync();
+        };
+}
+
 module.exports = LargeObject;
\ No newline at end of file
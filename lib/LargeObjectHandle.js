@@ -0,0 +1,258 @@
+"use strict";
+
+var errors = require('./errors');
+
+var DEFAULT_READ_SIZE = 16384;
+var READ_FILE_CHUNK_SIZE = 65536;
+
+// fs uses null (or -1) for "the current position"
+function isCurrentPosition(position)
+{
+        return position === null || position === undefined || position === -1;
+}
+
+/** A random-access handle to an opened large object, with the same methods as a `FileHandle` of
+  * `fs/promises`, so that code written against file handles can operate on large objects.
+  * Like `pread`/`pwrite`, reading or writing at an explicit position does not change the current position.
+  * All methods return promises. Obtain a handle using LargeObjectManager.openHandle().
+  * @example const handle = await man.openHandleAsync(oid);
+  * const {bytesRead} = await handle.read(buffer, 0, 1024, 4096);
+  * await handle.write(Buffer.from('abc'), 0, 3, 0);
+  * await handle.close();
+  * @constructor
+  * @exports pg-large-object/lib/LargeObjectHandle
+  * @param {module:pg-large-object/lib/LargeObject} largeObject Opened using READWRITE
+  *        (or READ, in which case only the read methods can be used)
+  */
+function LargeObjectHandle(largeObject)
+{
+        this._largeObject = largeObject;
+        /** @member {Number} */
+        this.oid = largeObject.oid;
+        /** The large object descriptor
+          * @member {Number}
+          */
+        this.fd = largeObject._fd;
+}
+
+/** Reads data into a buffer.
+  * @param {Buffer|Object} [buffer] The buffer to fill, or an object with the `buffer`, `offset`,
+  *        `length` and `position` options. By default a buffer of 16384 bytes is allocated.
+  * @param {Number} [offset=0] The location in the buffer at which to start filling
+  * @param {Number} [length] The amount of bytes to read, by default the rest of the buffer
+  * @param {?Number} [position] Where to start reading in the large object. If `null` (or -1), data is read
+  *        from the current position, which is then advanced. Otherwise the current position is not changed.
+  * @returns {Promise.<{bytesRead: Number, buffer: Buffer}>} `bytesRead` is 0 at the end of the large object
+  */
+LargeObjectHandle.prototype.read = function(buffer, offset, length, position)
+{
+        if (buffer && !Buffer.isBuffer(buffer) && typeof buffer === 'object')
+        {
+                offset = buffer.offset;
+                length = buffer.length;
+                position = buffer.position;
+                buffer = buffer.buffer;
+        }
+
+        buffer = buffer || Buffer.alloc(DEFAULT_READ_SIZE);
+        offset = offset || 0;
+        length = length === undefined ? buffer.length - offset : length;
+
+        if (offset < 0 || length < 0 || offset + length > buffer.length)
+        {
+                return Promise.reject(new errors.InvalidArgumentError('offset and length must be within the buffer', 'read'));
+        }
+
+        var obj = this._largeObject;
+        var data = isCurrentPosition(position) ? obj.readAsync(length) : obj.readAtAsync(position, length);
+
+        return data.then(function(data)
+        {
+                data.copy(buffer, offset);
+                return {bytesRead: data.length, buffer: buffer};
+        });
+};
+
+/** Writes a buffer or a string.
+  * @example handle.write(buffer, 0, buffer.length, 1024)
+  * handle.write('text', 1024, 'utf8')
+  * @param {Buffer|String} buffer
+  * @param {Number|Object} [offset=0] The location in the buffer of the data to write, or an object with the
+  *        `offset`, `length` and `position` options. For strings, this is the position instead.
+  * @param {Number|String} [length] The amount of bytes to write, by default the rest of the buffer.
+  *        For strings, this is the encoding instead (`utf8` by default).
+  * @param {?Number} [position] Where to start writing in the large object. If `null` (or -1), data is written
+  *        at the current position, which is then advanced. Otherwise the current position is not changed.
+  * @returns {Promise.<{bytesWritten: Number, buffer: (Buffer|String)}>}
+  */
+LargeObjectHandle.prototype.write = function(buffer, offset, length, position)
+{
+        var source = buffer;
+        var data;
+
+        if (typeof buffer === 'string')
+        {
+                position = offset;
+                data = Buffer.from(buffer, length || 'utf8');
+        }
+        else if (Buffer.isBuffer(buffer))
+        {
+                if (offset && typeof offset === 'object')
+                {
+                        length = offset.length;
+                        position = offset.position;
+                        offset = offset.offset;
+                }
+
+                offset = offset || 0;
+                length = length === undefined ? buffer.length - offset : length;
+
+                if (offset < 0 || length < 0 || offset + length > buffer.length)
+                {
+                        return Promise.reject(new errors.InvalidArgumentError('offset and length must be within the buffer', 'write'));
+                }
+
+                data = buffer.slice(offset, offset + length);
+        }
+        else
+        {
+                return Promise.reject(new errors.InvalidArgumentError('Only buffers and strings can be written', 'write'));
+        }
+
+        var obj = this._largeObject;
+        var written = isCurrentPosition(position) ? obj.writeAsync(data) : obj.writeAtAsync(position, data);
+
+        return written.then(function()
+        {
+                return {bytesWritten: data.length, buffer: source};
+        });
+};
+
+/** Reads the rest of the large object, starting at the current position.
+  * @param {Object|String} [options] An object with the `encoding` option, or the encoding
+  * @param {String} [options.encoding] Return a string using this encoding, instead of a buffer
+  * @returns {Promise.<Buffer|String>}
+  */
+LargeObjectHandle.prototype.readFile = function(options)
+{
+        var encoding = typeof options === 'string' ? options : options && options.encoding;
+        var obj = this._largeObject;
+        var chunks = [];
+
+        function next()
+        {
+                return obj.readAsync(READ_FILE_CHUNK_SIZE).then(function(data)
+                {
+                        chunks.push(data);
+                        if (data.length === READ_FILE_CHUNK_SIZE)
+                        {
+                                return next();
+                        }
+
+                        var result = Buffer.concat(chunks);
+                        return encoding ? result.toString(encoding) : result;
+                });
+        }
+
+        return next();
+};
+
+/** Writes a buffer or a string, starting at the current position. Like `FileHandle.writeFile()`,
+  * the large object is not truncated first.
+  * @param {Buffer|String} data
+  * @param {Object|String} [options] An object with the `encoding` option, or the encoding
+  * @param {String} [options.encoding=utf8] The encoding of `data`, if it is a string
+  * @returns {Promise}
+  */
+LargeObjectHandle.prototype.writeFile = function(data, options)
+{
+        var encoding = typeof options === 'string' ? options : options && options.encoding;
+
+        if (typeof data === 'string')
+        {
+                data = Buffer.from(data, encoding || 'utf8');
+        }
+
+        return this._largeObject.writeAsync(data).then(function()
+        {
+                return undefined;
+        });
+};
+
+/** Truncates (or extends, with zero bytes) the large object. The current position is not changed.
+  * @param {Number} [length=0]
+  * @returns {Promise}
+  */
+LargeObjectHandle.prototype.truncate = function(length)
+{
+        return this._largeObject.truncateAsync(length || 0);
+};
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectHandle~Stats
+  * @property {Number} oid
+  * @property {Number} size The size of the large object in bytes
+  * @property {Number} blksize The page size of large objects (LOBLKSIZE)
+  * @property {function} isFile Always returns `true`
+  * @property {function} isDirectory Always returns `false`
+  */
+/** Retrieves the size of the large object, in the shape of `fs.Stats`.
+  * @returns {Promise.<module:pg-large-object/lib/LargeObjectHandle~Stats>}
+  */
+LargeObjectHandle.prototype.stat = function()
+{
+        var oid = this.oid;
+
+        return this._largeObject.sizeAsync().then(function(size)
+        {
+                return {
+                        oid: oid,
+                        size: Number(size), // int8 values are returned as a string by node-postgres
+                        blksize: 2048,
+                        isFile: function()
+                        {
+                                return true;
+                        },
+                        isDirectory: function()
+                        {
+                                return false;
+                        }
+                };
+        });
+};
+
+/** Does nothing: changes to large objects are made durable when the transaction is committed.
+  * Exists for compatibility with `FileHandle`.
+  * @returns {Promise}
+  */
+LargeObjectHandle.prototype.sync = function()
+{
+        return Promise.resolve();
+};
+
+/** Does nothing: changes to large objects are made durable when the transaction is committed.
+  * Exists for compatibility with `FileHandle`.
+  * @returns {Promise}
+  */
+LargeObjectHandle.prototype.datasync = LargeObjectHandle.prototype.sync;
+
+/** Closes the large object.
+  * @returns {Promise}
+  */
+LargeObjectHandle.prototype.close = function()
+{
+        return this._largeObject.closeAsync();
+};
+
+if (typeof Symbol.asyncDispose === 'symbol')
+{
+        /** Close the large object, unless that has already happened.
+          * @example await using handle = await man.openHandleAsync(oid);
+          * @returns {Promise}
+          */
+        LargeObjectHandle.prototype[Symbol.asyncDispose] = function()
+        {
+                return this._largeObject[Symbol.asyncDispose]();
+        };
+}
+
+module.exports = LargeObjectHandle;
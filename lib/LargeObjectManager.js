@@ -1,7 +1,18 @@
 "use strict";
 
+var fs = require('fs');
+var pipeline = require('stream').pipeline;
 var promiseFromCallback = require('./promiseFromCallback');
+var abortable = require('./abortable');
+var errors = require('./errors');
+var quoteIdentifier = require('./quoteIdentifier');
+var acl = require('./acl');
+var compression = require('./compression');
 var LargeObject = require('./LargeObject');
+var EncryptedLargeObject = require('./EncryptedLargeObject');
+var LargeObjectHandle = require('./LargeObjectHandle');
+var ReadStream = require('./ReadStream');
+var WriteStream = require('./WriteStream');
 
 function pgPromiseAdapter(tx) {
         return function query(options, callback) {
@@ -26,6 +37,14 @@ function pgPromiseAdapter(tx) {
   * @param {module:pg/Client} options.pg A pg (https://www.npmjs.com/package/pg) Client object
   * @param {module:pg-promise/Task} options.pgPromise A pg-promise (https://www.npmjs.com/package/pg-promise) transaction
  *         object as given by `db.tx()`
+  * @param {boolean} [options.checkTransaction=false] Verify that a transaction block is active before
+  *        `open()` and `create()`, and give a NotInTransactionError if it is not. This costs an extra round trip.
+  * @param {Boolean|Object} [options.metadata] Keep a filename, content type and custom attributes for large objects
+  *        in a metadata table (see installSchema()). The rows are created by the methods which create large
+  *        objects (create(), createFromBuffer(), importFile(), copy(), ...) and removed by unlink(),
+  *        using the same statement.
+  * @param {String} [options.metadata.table=large_object_metadata] The name of the metadata table
+  * @param {String} [options.metadata.schema] The schema of the metadata table. By default the search path is used.
   */
 function LargeObjectManager(options)
 {
@@ -44,10 +63,110 @@ function LargeObjectManager(options)
                 this._query = pgPromiseAdapter(tx);
         }
         else {
-                throw Error('Either the `pg` or `pgPromise` option must be given');
+                throw new errors.InvalidArgumentError('Either the `pg` or `pgPromise` option must be given', 'LargeObjectManager');
+        }
+
+        this._checkTransaction = Boolean(options.checkTransaction);
+        this._openObjects = new Set();
+        this._metadata = null;
+
+        if (options.metadata)
+        {
+                var metadata = typeof options.metadata === 'object' ? options.metadata : {};
+                this._metadata = {
+                        schema: metadata.schema || null,
+                        table: metadata.table || 'large_object_metadata'
+                };
+                this._metadataTable = (metadata.schema ? quoteIdentifier(metadata.schema) + '.' : '') +
+                        quoteIdentifier(this._metadata.table);
         }
 }
 
+/** Connect a client from the pool, begin a transaction and call `fn` with a LargeObjectManager for that client.
+  * The transaction is committed when the promise returned by `fn` resolves, and rolled back when it is rejected.
+  * The client is always returned to the pool.
+  * @example LargeObjectManager.withTransaction(pool, function(man) {
+  *   return man.createFromBufferAsync(buffer);
+  * }).then(function(oid) { ... });
+  * @param {module:pg/Pool} pool A pg (https://www.npmjs.com/package/pg) Pool object
+  * @param {function} fn Called with the LargeObjectManager and the pg client. Should return a promise (or value)
+  * @returns {Promise} Resolves with the result of `fn` after the transaction has been committed
+  */
+LargeObjectManager.withTransaction = function(pool, fn)
+{
+        return new Promise(function(resolve, reject)
+        {
+                pool.connect(function(err, client, release)
+                {
+                        if (err) return reject(err);
+
+                        client.query('BEGIN', function(err)
+                        {
+                                if (err)
+                                {
+                                        release(err);
+                                        return reject(err);
+                                }
+
+                                Promise.resolve()
+                                .then(function()
+                                {
+                                        return fn(new LargeObjectManager({pg: client}), client);
+                                })
+                                .then(
+                                        function(result)
+                                        {
+                                                client.query('COMMIT', function(err)
+                                                {
+                                                        release(err);
+                                                        if (err) return reject(err);
+                                                        resolve(result);
+                                                });
+                                        },
+                                        function(error)
+                                        {
+                                                client.query('ROLLBACK', function(err)
+                                                {
+                                                        // a client which failed to roll back is destroyed instead of reused
+                                                        release(err);
+                                                        reject(error);
+                                                });
+                                        }
+                                );
+                        });
+                });
+        });
+};
+
+/** Give a NotInTransactionError if the `checkTransaction` option is set and no transaction block is active.
+  * A savepoint can only be created within a transaction block, outside of one PostgreSQL reports
+  * SQLSTATE 25P01 (no_active_sql_transaction). The savepoint is released again by the same query.
+  * @private
+  * @param {String} operation
+  * @param {function} callback
+  */
+LargeObjectManager.prototype._assertTransaction = function(operation, callback)
+{
+        if (!this._checkTransaction)
+        {
+                return callback(null);
+        }
+
+        // both statements are sent as a single simple query, so it must not be a named (prepared) statement
+        this._query(
+                {text: "SAVEPOINT npg_in_transaction; RELEASE SAVEPOINT npg_in_transaction"},
+                function(err)
+                {
+                        if (err && err.code === '25P01') // no_active_sql_transaction
+                        {
+                                return callback(new errors.NotInTransactionError(operation));
+                        }
+
+                        callback(err || null);
+                }
+        );
+};
+
 /** @constant {Number} */
 LargeObjectManager.WRITE = 0x00020000;
 /** @constant {Number} */
@@ -67,6 +186,7 @@ LargeObjectManager.READWRITE = 0x00020000 | 0x00040000;
   * If opened using WRITE (or READWRITE), data read will reflect 
   * all writes of other committed transactions as well as 
   * writes of the current transaction.
+  * If the current role lacks the privilege required for the given mode, a PermissionDeniedError is given.
   * @param {Number} oid
   * @param {Number} mode One of WRITE, READ, or READWRITE
   * @param {module:pg-large-object/lib/LargeObjectManager~openCallback} callback
@@ -75,20 +195,25 @@ LargeObjectManager.prototype.open = function(oid, mode, callback)
 {
         if (!oid)
         {
-                throw Error("Illegal Argument");
+                throw new errors.InvalidArgumentError('oid is required', 'open');
         }
         
-        this._query(
-                {name: "npg_lo_open", text:"SELECT lo_open($1, $2) AS fd", values: [oid, mode]},
-                function(err, result)
-                {
-                        if (err) return callback(err);
-                        
-                        var fd = result.rows[0].fd;
-                        
-                        callback(null, new LargeObject(this._query, oid, fd));
-                }.bind(this)
-        );
+        this._assertTransaction('open', function(err)
+        {
+                if (err) return callback(err);
+
+                this._query(
+                        {name: "npg_lo_open", text:"SELECT lo_open($1, $2) AS fd", values: [oid, mode]},
+                        function(err, result)
+                        {
+                                if (err) return callback(errors.translate(err, oid, 'open'));
+
+                                var fd = result.rows[0].fd;
+
+                                callback(null, new LargeObject(this._query, oid, fd, this._openObjects));
+                        }.bind(this)
+                );
+        }.bind(this));
 };
 
 /** Open an existing large object, based on its OID.
@@ -99,49 +224,309 @@ LargeObjectManager.prototype.open = function(oid, mode, callback)
  * If opened using WRITE (or READWRITE), data read will reflect
  * all writes of other committed transactions as well as
  * writes of the current transaction.
+ * If the current role lacks the privilege required for the given mode, the promise is rejected
+ * with a PermissionDeniedError.
  * @param {Number} oid
  * @param {Number} mode One of WRITE, READ, or READWRITE
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close the large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close the large object) if it takes longer than this many milliseconds
  * @returns {Promise.<module:pg-large-object/lib/LargeObject>}
  */
-LargeObjectManager.prototype.openAsync = function(oid, mode)
+LargeObjectManager.prototype.openAsync = function(oid, mode, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.open(oid, mode, abortable.wrapCallback(options, callback, {
+                        cleanup: function(obj)
+                        {
+                                obj._abortClose();
+                        }
+                }));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~openEncryptedCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {module:pg-large-object/lib/EncryptedLargeObject} result
+  */
+/** Open a large object whose contents are encrypted using AES-256-GCM. The contents are stored in segments
+  * which are authenticated separately, so that any part of it can be read (or overwritten) after a seek.
+  * The key is requested from `encryption.keyProvider` using the key id stored in the large object,
+  * which makes it possible to rotate keys: new large objects use the current key id, while
+  * existing ones keep using the key they have been encrypted with.
+  * An empty large object is initialized (and must be opened for writing) if `encryption.keyId` is given,
+  * otherwise a DecryptionError is given, as it is for large objects which are not encrypted and for wrong keys.
+  * @param {Number} oid
+  * @param {Number} mode One of WRITE, READ, or READWRITE
+  * @param {Object} encryption
+  * @param {function} encryption.keyProvider Called with a key id, returns the key (a Buffer of 32 bytes) or a promise for it
+  * @param {String} [encryption.keyId] The key id to encrypt an empty large object with
+  * @param {Number} [encryption.segmentSize=65536] The amount of plain text per segment, if the large object is empty
+  * @param {module:pg-large-object/lib/LargeObjectManager~openEncryptedCallback} callback
+  */
+LargeObjectManager.prototype.openEncrypted = function(oid, mode, encryption, callback)
+{
+        EncryptedLargeObject.checkOptions(encryption, 'openEncrypted');
+
+        this.open(oid, mode, function(err, obj)
+        {
+                if (err) return callback(err);
+
+                EncryptedLargeObject.init(obj, encryption, function(err, encrypted)
+                {
+                        if (err)
+                        {
+                                obj._abortClose();
+                                return callback(err);
+                        }
+
+                        callback(null, encrypted);
+                });
+        });
+};
+
+/** Open a large object whose contents are encrypted using AES-256-GCM. The contents are stored in segments
+ * which are authenticated separately, so that any part of it can be read (or overwritten) after a seek.
+ * The key is requested from `encryption.keyProvider` using the key id stored in the large object,
+ * which makes it possible to rotate keys: new large objects use the current key id, while
+ * existing ones keep using the key they have been encrypted with.
+ * An empty large object is initialized (and must be opened for writing) if `encryption.keyId` is given,
+ * otherwise the promise is rejected with a DecryptionError, as it is for large objects which are not encrypted and for wrong keys.
+ * @param {Number} oid
+ * @param {Number} mode One of WRITE, READ, or READWRITE
+ * @param {Object} encryption
+ * @param {function} encryption.keyProvider Called with a key id, returns the key (a Buffer of 32 bytes) or a promise for it
+ * @param {String} [encryption.keyId] The key id to encrypt an empty large object with
+ * @param {Number} [encryption.segmentSize=65536] The amount of plain text per segment, if the large object is empty
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close the large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close the large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<module:pg-large-object/lib/EncryptedLargeObject>}
+ */
+LargeObjectManager.prototype.openEncryptedAsync = function(oid, mode, encryption, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.openEncrypted(oid, mode, encryption, abortable.wrapCallback(options, callback, {
+                        cleanup: function(obj)
+                        {
+                                obj._abortClose();
+                        }
+                }));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~openHandleCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {module:pg-large-object/lib/LargeObjectHandle} handle
+  */
+/** Open a large object and return a random-access handle with the same methods as a `FileHandle` of `fs/promises`
+  * (`read`, `write`, `truncate`, `stat`, `close`, ...). Only call this within a transaction block.
+  * @param {Number} oid
+  * @param {Number} [mode=READWRITE] One of WRITE, READ, or READWRITE
+  * @param {module:pg-large-object/lib/LargeObjectManager~openHandleCallback} callback
+  */
+LargeObjectManager.prototype.openHandle = function(oid, mode, callback)
+{
+        if (typeof mode === 'function')
+        {
+                callback = mode;
+                mode = undefined;
+        }
+
+        this.open(oid, mode || LargeObjectManager.READWRITE, function(err, obj)
+        {
+                if (err) return callback(err);
+
+                callback(null, new LargeObjectHandle(obj));
+        });
+};
+
+/** Open a large object and return a random-access handle with the same methods as a `FileHandle` of `fs/promises`
+ * (`read`, `write`, `truncate`, `stat`, `close`, ...). Only call this within a transaction block.
+ * @example const handle = await man.openHandleAsync(oid);
+ * @param {Number} oid
+ * @param {Number} [mode=READWRITE] One of WRITE, READ, or READWRITE
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Abort the operation (and close the large object) when this signal is aborted
+ * @param {Number} [options.timeout] Abort the operation (and close the large object) if it takes longer than this many milliseconds
+ * @returns {Promise.<module:pg-large-object/lib/LargeObjectHandle>}
+ */
+LargeObjectManager.prototype.openHandleAsync = function(oid, mode, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.openHandle(oid, mode, abortable.wrapCallback(options, callback, {
+                        cleanup: function(handle)
+                        {
+                                handle._largeObject._abortClose();
+                        }
+                }));
+        }, this);
+};
+
+/** Returns the large objects opened by this manager which have not been closed yet.
+  * Note that the server closes all large objects at the end of the transaction,
+  * so call closeAll() before committing if any of them may still be open.
+  * @returns {Array.<module:pg-large-object/lib/LargeObject>}
+  */
+LargeObjectManager.prototype.openObjects = function()
+{
+        return Array.from(this._openObjects);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~closeAllCallback
+  * @param {?Error} error If set, closing one of the large objects failed
+  */
+/** Closes all large objects opened by this manager which have not been closed yet.
+  * @param {module:pg-large-object/lib/LargeObjectManager~closeAllCallback} [callback]
+  */
+LargeObjectManager.prototype.closeAll = function(callback)
+{
+        var objects = this.openObjects();
+        var pending = objects.length;
+        var error = null;
+
+        if (!pending)
+        {
+                if (callback) callback(null);
+                return;
+        }
+
+        objects.forEach(function(obj)
+        {
+                obj.close(function(err)
+                {
+                        error = error || err || null;
+                        if (--pending === 0 && callback)
+                        {
+                                callback(error);
+                        }
+                });
+        });
+};
+
+/** Closes all large objects opened by this manager which have not been closed yet.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObjectManager.prototype.closeAllAsync = function(options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.open(oid, mode, callback);
+                this.closeAll(abortable.wrapCallback(options, callback));
         }, this);
 };
 
+/** Wrap a query which creates a large object (and returns its OID as `oid`), so that the metadata row
+  * is inserted by the same statement if the `metadata` option has been given.
+  * @private
+  * @param {Object} query
+  * @param {Object} [metadata] An object with the `filename`, `contentType` and `meta` options
+  * @param {String} operation The name of the method that was called
+  * @returns {Object} The query to run
+  */
+LargeObjectManager.prototype._createQuery = function(query, metadata, operation)
+{
+        metadata = metadata || {};
+
+        if (!this._metadata)
+        {
+                if (metadata.filename || metadata.contentType || metadata.meta)
+                {
+                        throw new errors.InvalidArgumentError(
+                                'filename, contentType and meta require the metadata option of the LargeObjectManager', operation
+                        );
+                }
+
+                return query;
+        }
+
+        var first = query.values.length + 1;
+        return {
+                text: "WITH created AS (" + query.text + ") " +
+                        "INSERT INTO " + this._metadataTable + " (oid, filename, content_type, meta) " +
+                        "SELECT created.oid, $" + first + "::text, $" + (first + 1) + "::text, $" + (first + 2) + "::jsonb " +
+                        "FROM created RETURNING oid",
+                values: query.values.concat([
+                        metadata.filename || null,
+                        metadata.contentType || null,
+                        JSON.stringify(metadata.meta || {})
+                ])
+        };
+};
+
 /** @callback module:pg-large-object/lib/LargeObjectManager~createCallback
   * @param {?Error} error If set, an error occurred.
   * @param {Number} oid
   */
 /** Creates a large object, returning its OID. 
   * After which you can open() it.
+  * @example man.create({oid: 12345}, function(err, oid) { ... })
+  * @param {Object} [options]
+  * @param {Number} [options.oid] The OID to use for the new large object (`lo_create`). If this
+  *        OID is already in use, an ObjectExistsError is given. By default the server picks an unused OID.
+  * @param {Number} [options.mode=READWRITE] The mode passed to `lo_creat` (ignored by PostgreSQL 8.1 and up)
+  * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
   * @param {module:pg-large-object/lib/LargeObjectManager~createCallback} callback
   */
-LargeObjectManager.prototype.create = function(callback)
+LargeObjectManager.prototype.create = function(options, callback)
 {
-        this._query(
-                {name: "npg_lo_creat", text:"SELECT lo_creat($1) AS oid", values: [LargeObjectManager.READWRITE]},
-                function(err, result)
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+
+        var query = options.oid
+                ? {name: "npg_lo_create", text:"SELECT lo_create($1) AS oid", values: [options.oid]}
+                : {name: "npg_lo_creat", text:"SELECT lo_creat($1) AS oid", values: [options.mode || LargeObjectManager.READWRITE]};
+
+        // create the large object and its metadata row using a single statement
+        query = this._createQuery(query, options, 'create');
+
+        this._assertTransaction('create', function(err)
+        {
+                if (err) return callback(err);
+
+                this._query(query, function(err, result)
                 {
-                        if (err) return callback(err);
-                        
+                        if (err) return callback(errors.translate(err, options.oid, 'create'));
+
                         var oid = result.rows[0].oid;
                         callback(null, oid);
-                }
-        );
+                });
+        }.bind(this));
 };
 
 /** Creates a large object, returning its OID.
  * After which you can open() it.
+ * @param {Object} [options]
+ * @param {Number} [options.oid] The OID to use for the new large object (`lo_create`). If this
+ *        OID is already in use, the promise is rejected with an ObjectExistsError. By default the server
+ *        picks an unused OID.
+ * @param {Number} [options.mode=READWRITE] The mode passed to `lo_creat` (ignored by PostgreSQL 8.1 and up)
+ * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
  * @returns {Promise.<number>} oid
  */
-LargeObjectManager.prototype.createAsync = function()
+LargeObjectManager.prototype.createAsync = function(options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.create(callback);
+                this.create(options, abortable.wrapCallback(options, callback));
         }, this);
 };
 
@@ -149,7 +534,7 @@ LargeObjectManager.prototype.createAsync = function()
 /** @callback module:pg-large-object/lib/LargeObjectManager~unlinkCallback
   * @param {?Error} error If set, an error occurred.
   */
-/** Unlinks (deletes) a large object
+/** Unlinks (deletes) a large object, and its metadata row if the `metadata` option has been given
   * @param {number} oid
   * @param {module:pg-large-object/lib/LargeObjectManager~unlinkCallback} [callback]
   */
@@ -157,150 +542,2389 @@ LargeObjectManager.prototype.unlink = function(oid, callback)
 {
         if (!oid)
         {
-                throw Error("Illegal Argument");
+                throw new errors.InvalidArgumentError('oid is required', 'unlink');
         }
+
+        var query = this._metadata
+                ? {
+                        text: "WITH removed AS (DELETE FROM " + this._metadataTable + " WHERE oid = $1) SELECT lo_unlink($1) as ok",
+                        values: [oid]
+                }
+                : {name: "npg_lo_unlink", text:"SELECT lo_unlink($1) as ok", values: [oid]};
         
         this._query(
-                {name: "npg_lo_unlink", text:"SELECT lo_unlink($1) as ok", values: [oid]},
+                query,
                 callback ? function(err, result)
                 {
-                        callback(err);
+                        callback(errors.translate(err, oid, 'unlink'));
                 } : undefined
         );
 };
 
-/** Unlinks (deletes) a large object
+/** Unlinks (deletes) a large object, and its metadata row if the `metadata` option has been given
  * @param {number} oid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
  * @returns {Promise}
  */
-LargeObjectManager.prototype.unlinkAsync = function(oid)
+LargeObjectManager.prototype.unlinkAsync = function(oid, options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.unlink(oid, callback);
+                this.unlink(oid, abortable.wrapCallback(options, callback));
         }, this);
 };
 
-/** @callback module:pg-large-object/lib/LargeObjectManager~openAndReadableStreamCallback
+/** @callback module:pg-large-object/lib/LargeObjectManager~importFromServerFileCallback
   * @param {?Error} error If set, an error occurred.
-  * @param {Number} size The total size of the large object
-  * @param {module:pg-large-object/lib/ReadStream} stream
+  * @param {Number} oid
   */
-/** Open a large object, return a stream and close the object when done streaming.
-  * Only call this within a transaction block.
-  * @param {Number} oid  
-  * @param {Number} [bufferSize=16384]  
-  * @param {module:pg-large-object/lib/LargeObjectManager~openAndReadableStreamCallback} callback
-  * 
+/** Creates a large object from a file on the database server (`lo_import`), returning its OID.
+  * The file is read by the server process, which requires superuser privileges
+  * (or the pg_read_server_files role).
+  * @param {String} path An absolute path on the server
+  * @param {?Number} [oid] The OID to use for the new large object. By default the server picks one.
+  * @param {Object} [options]
+  * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
+  * @param {module:pg-large-object/lib/LargeObjectManager~importFromServerFileCallback} callback
   */
-LargeObjectManager.prototype.openAndReadableStream = function(oid, bufferSize, callback)
+LargeObjectManager.prototype.importFromServerFile = function(path, oid, options, callback)
 {
-        if (typeof bufferSize === 'function')
+        if (typeof oid === 'function')
         {
-                callback = bufferSize;
-                bufferSize = undefined;
+                callback = oid;
+                oid = undefined;
+                options = undefined;
         }
-        
-        this.open(oid, LargeObjectManager.READ, function(err, obj)
+        else if (typeof options === 'function')
         {
-                if (err) return callback(err);
-                
-                obj.size(function(err, size)
-                {
-                        if (err) return callback(err);
-                        
-                        var stream = obj.getReadableStream(bufferSize);
-                        
-                        stream.on('end', function()
-                        {
-                                // this should rarely happen, but if it does
-                                // use a callback so that error handling is consistent
-                                // (otherwise an error will be emmited by node-postgres) 
-                                obj.close(function(err)
-                                {
-                                        if (err)
-                                        {
-                                                console.error('Warning: closing a large object failed:', err);
-                                        }
-                                });
-                        });
-                        
-                        callback(null, size, stream);
-                });
+                callback = options;
+                options = undefined;
+        }
+
+        if (oid !== undefined && oid !== null && typeof oid !== 'number')
+        {
+                throw new errors.InvalidArgumentError('oid must be a number', 'importFromServerFile');
+        }
+
+        if (typeof path !== 'string')
+        {
+                throw new errors.InvalidArgumentError('path must be a string', 'importFromServerFile');
+        }
+
+        var query = oid
+                ? {name: "npg_lo_import_oid", text: "SELECT lo_import($1, $2) AS oid", values: [path, oid]}
+                : {name: "npg_lo_import", text: "SELECT lo_import($1) AS oid", values: [path]};
+
+        this._query(this._createQuery(query, options, 'importFromServerFile'), function(err, result)
+        {
+                if (err) return callback(errors.translate(err, oid, 'importFromServerFile'));
+
+                callback(null, result.rows[0].oid);
         });
 };
 
-/** Open a large object, return a stream and close the object when done streaming.
- * Only call this within a transaction block.
- * @param {Number} oid
- * @param {Number} [bufferSize=16384]
- * @returns {Promise.<Array>} The total size and a ReadStream
- *
+/** Creates a large object from a file on the database server (`lo_import`), returning its OID.
+ * The file is read by the server process, which requires superuser privileges
+ * (or the pg_read_server_files role).
+ * @param {String} path An absolute path on the server
+ * @param {?Number} [oid] The OID to use for the new large object. By default the server picks one.
+ * @param {Object} [options]
+ * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<number>} oid
  */
-LargeObjectManager.prototype.openAndReadableStreamAsync = function(oid, bufferSize)
+LargeObjectManager.prototype.importFromServerFileAsync = function(path, oid, options)
 {
+        if (oid && typeof oid === 'object')
+        {
+                options = oid;
+                oid = undefined;
+        }
+
         return promiseFromCallback(function(callback)
         {
-                this.openAndReadableStream(oid, bufferSize, callback);
-        }, this, {twoArgs: true});
+                this.importFromServerFile(path, oid, options, abortable.wrapCallback(options, callback));
+        }, this);
 };
 
-/** @callback module:pg-large-object/lib/LargeObjectManager~createAndWritableStreamCallback
+/** @callback module:pg-large-object/lib/LargeObjectManager~exportToServerFileCallback
   * @param {?Error} error If set, an error occurred.
-  * @param {Number} oid  
-  * @param {module:pg-large-object/lib/WriteStream} stream
   */
-/** Create and open a large object, return a stream and close the object when done streaming.
-  * Only call this within a transaction block.
-  * @param {Number} [bufferSize=16384]  
-  * @param {module:pg-large-object/lib/LargeObjectManager~createAndWritableStreamCallback} [callback]
+/** Writes the contents of a large object to a file on the database server (`lo_export`).
+  * The file is written by the server process, which requires superuser privileges
+  * (or the pg_write_server_files role).
+  * @param {Number} oid
+  * @param {String} path An absolute path on the server
+  * @param {module:pg-large-object/lib/LargeObjectManager~exportToServerFileCallback} [callback]
   */
-LargeObjectManager.prototype.createAndWritableStream = function(bufferSize, callback)
+LargeObjectManager.prototype.exportToServerFile = function(oid, path, callback)
 {
-        if (typeof bufferSize === 'function')
+        if (!oid || typeof path !== 'string')
         {
-                callback = bufferSize;
-                bufferSize = undefined;
+                throw new errors.InvalidArgumentError('oid and path are required', 'exportToServerFile');
         }
 
-        var man = this;
-        
-        man.create(function(err, oid)
-        {
-                if (err) return callback(err);
-                
-                man.open(oid, LargeObjectManager.WRITE, function(err, obj)
+        this._query(
+                {name: "npg_lo_export", text: "SELECT lo_export($1, $2) AS ok", values: [oid, path]},
+                callback ? function(err, result)
                 {
-                        if (err) return callback(err);
-                        
-                        var stream = obj.getWritableStream(bufferSize);
-                        stream.on('finish', function()
-                        { 
-                                obj.close(function(err)
-                                {
-                                        if (err)
-                                        {
-                                                console.error('Warning: closing a large object failed:', err);
-                                        }
-                                });
-                        });
-                        
-                        callback(null, oid, stream);
-                });
-        });
+                        callback(errors.translate(err, oid, 'exportToServerFile'));
+                } : undefined
+        );
 };
 
-/** Create and open a large object, return a stream and close the object when done streaming.
- * Only call this within a transaction block.
- * @param {Number} [bufferSize=16384]
- * @returns {promise.<Array>} The oid and a WriteStream
+/** Writes the contents of a large object to a file on the database server (`lo_export`).
+ * The file is written by the server process, which requires superuser privileges
+ * (or the pg_write_server_files role).
+ * @param {Number} oid
+ * @param {String} path An absolute path on the server
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
  */
-LargeObjectManager.prototype.createAndWritableStreamAsync = function(bufferSize)
+LargeObjectManager.prototype.exportToServerFileAsync = function(oid, path, options)
 {
         return promiseFromCallback(function(callback)
         {
-                this.createAndWritableStream(bufferSize, callback);
-        }, this, {twoArgs: true});
+                this.exportToServerFile(oid, path, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~createFromBufferCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} oid
+  */
+/** Creates a large object with the given contents in a single round trip (`lo_from_bytea`),
+  * returning its OID. This is useful for small objects, the entire buffer is sent at once.
+  * Requires PostgreSQL 9.4 or higher.
+  * @param {Buffer} buffer
+  * @param {?Number} [oid] The OID to use for the new large object. By default the server picks one.
+  * @param {Object} [options]
+  * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
+  * @param {module:pg-large-object/lib/LargeObjectManager~createFromBufferCallback} callback
+  */
+LargeObjectManager.prototype.createFromBuffer = function(buffer, oid, options, callback)
+{
+        if (typeof oid === 'function')
+        {
+                callback = oid;
+                oid = undefined;
+                options = undefined;
+        }
+        else if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (oid !== undefined && oid !== null && typeof oid !== 'number')
+        {
+                throw new errors.InvalidArgumentError('oid must be a number', 'createFromBuffer');
+        }
+
+        if (!Buffer.isBuffer(buffer))
+        {
+                throw new errors.InvalidArgumentError('buffer must be a Buffer', 'createFromBuffer');
+        }
+
+        this._query(
+                this._createQuery(
+                        {name: "npg_lo_from_bytea", text: "SELECT lo_from_bytea($1, $2) AS oid", values: [oid || 0, buffer]},
+                        options,
+                        'createFromBuffer'
+                ),
+                function(err, result)
+                {
+                        if (err) return callback(errors.translate(err, oid, 'createFromBuffer'));
+
+                        callback(null, result.rows[0].oid);
+                }
+        );
+};
+
+/** Creates a large object with the given contents in a single round trip (`lo_from_bytea`),
+ * returning its OID. This is useful for small objects, the entire buffer is sent at once.
+ * Requires PostgreSQL 9.4 or higher.
+ * @param {Buffer} buffer
+ * @param {?Number} [oid] The OID to use for the new large object. By default the server picks one.
+ * @param {Object} [options]
+ * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<number>} oid
+ */
+LargeObjectManager.prototype.createFromBufferAsync = function(buffer, oid, options)
+{
+        if (oid && typeof oid === 'object')
+        {
+                options = oid;
+                oid = undefined;
+        }
+
+        return promiseFromCallback(function(callback)
+        {
+                this.createFromBuffer(buffer, oid, options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~readWholeCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Buffer} data
+  */
+/** Reads the contents of a large object (or a part of it) in a single round trip,
+  * without opening it (`lo_get`). This is useful for small objects, the entire result
+  * is kept in memory. Requires PostgreSQL 9.4 or higher.
+  * @param {Number} oid
+  * @param {Number} [offset] The offset of the first byte to read. Must be given together with `length`.
+  * @param {Number} [length] How many bytes to read
+  * @param {module:pg-large-object/lib/LargeObjectManager~readWholeCallback} callback
+  */
+LargeObjectManager.prototype.readWhole = function(oid, offset, length, callback)
+{
+        if (typeof offset === 'function')
+        {
+                callback = offset;
+                offset = undefined;
+                length = undefined;
+        }
+        else if (typeof length === 'function')
+        {
+                callback = length;
+                length = undefined;
+        }
+
+        if (!oid || (offset === undefined) !== (length === undefined))
+        {
+                throw new errors.InvalidArgumentError('oid is required, and offset and length must be given together', 'readWhole');
+        }
+
+        var query = offset === undefined
+                ? {name: "npg_lo_get", text: "SELECT lo_get($1) AS data", values: [oid]}
+                : {name: "npg_lo_get_range", text: "SELECT lo_get($1, $2, $3) AS data", values: [oid, offset, length]};
+
+        this._query(query, function(err, result)
+        {
+                if (err) return callback(errors.translate(err, oid, 'readWhole'));
+
+                var data = result.rows[0].data;
+                callback(null, data);
+        });
+};
+
+/** Reads the contents of a large object (or a part of it) in a single round trip,
+ * without opening it (`lo_get`). This is useful for small objects, the entire result
+ * is kept in memory. Requires PostgreSQL 9.4 or higher.
+ * @param {Number} oid
+ * @param {Number} [offset] The offset of the first byte to read. Must be given together with `length`.
+ * @param {Number} [length] How many bytes to read
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<Buffer>}
+ */
+LargeObjectManager.prototype.readWholeAsync = function(oid, offset, length, options)
+{
+        if (typeof offset === 'object')
+        {
+                options = offset;
+                offset = undefined;
+        }
+
+        return promiseFromCallback(function(callback)
+        {
+                if (offset === undefined)
+                {
+                        this.readWhole(oid, abortable.wrapCallback(options, callback));
+                }
+                else
+                {
+                        this.readWhole(oid, offset, length, abortable.wrapCallback(options, callback));
+                }
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~writeAtCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Writes data to a large object at the given offset in a single round trip,
+  * without opening it (`lo_put`). The large object is extended if needed.
+  * Requires PostgreSQL 9.4 or higher.
+  * @param {Number} oid
+  * @param {Number} offset
+  * @param {Buffer} buffer
+  * @param {module:pg-large-object/lib/LargeObjectManager~writeAtCallback} [callback]
+  */
+LargeObjectManager.prototype.writeAt = function(oid, offset, buffer, callback)
+{
+        if (!oid || !(offset >= 0) || !Buffer.isBuffer(buffer))
+        {
+                throw new errors.InvalidArgumentError('oid, a non-negative offset and a buffer are required', 'writeAt');
+        }
+
+        this._query(
+                {name: "npg_lo_put", text: "SELECT lo_put($1, $2, $3)", values: [oid, offset, buffer]},
+                callback ? function(err, result)
+                {
+                        callback(errors.translate(err, oid, 'writeAt'));
+                } : undefined
+        );
+};
+
+/** Writes data to a large object at the given offset in a single round trip,
+ * without opening it (`lo_put`). The large object is extended if needed.
+ * Requires PostgreSQL 9.4 or higher.
+ * @param {Number} oid
+ * @param {Number} offset
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObjectManager.prototype.writeAtAsync = function(oid, offset, buffer, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.writeAt(oid, offset, buffer, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+// A sub query which returns the size of the given large object, without the need to open it first.
+// The nested sub queries make sure that lo_open, lo_lseek64 and lo_close are executed in order
+function sizeQuery(oidExpression)
+{
+        return "(SELECT closed.size FROM " +
+                "(SELECT lo_close(seek.fd), seek.size FROM " +
+                        "(SELECT opened.fd, lo_lseek64(opened.fd, 0, 2) AS size FROM " +
+                                "(SELECT lo_open(" + oidExpression + ", " + LargeObjectManager.READ + ") AS fd) opened) seek) closed)";
+}
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~copyRangeCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} copied The amount of bytes that have been copied
+  */
+/** Copies a range of bytes from one large object to another, entirely on the server (`lo_get` and `lo_put`,
+  * in chunks), so no data is sent to the client. The destination is extended if needed.
+  * The source and destination ranges must not overlap if they are in the same large object.
+  * Requires PostgreSQL 9.4 or higher.
+  * @param {Number} srcOid
+  * @param {Number} srcOffset
+  * @param {?Number} length How many bytes to copy, `null` to copy everything up to the end of the source.
+  *        Less is copied if the source ends earlier.
+  * @param {Number} dstOid
+  * @param {Number} dstOffset
+  * @param {Object} [options]
+  * @param {Number} [options.chunkSize=1048576] The amount of bytes copied at a time, which the server keeps in memory
+  * @param {module:pg-large-object/lib/LargeObjectManager~copyRangeCallback} callback
+  */
+LargeObjectManager.prototype.copyRange = function(srcOid, srcOffset, length, dstOid, dstOffset, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+
+        if (!srcOid || !dstOid || !(srcOffset >= 0) || !(dstOffset >= 0) || (length !== null && !(length >= 0)))
+        {
+                throw new errors.InvalidArgumentError('oids, non-negative offsets and a length (or null) are required', 'copyRange');
+        }
+
+        var chunkSize = options.chunkSize || 1048576;
+
+        // the chunks are read into a sub query first, so that the amount of bytes that actually exist can be counted
+        var text = "SELECT coalesce(sum(octet_length(part.data)), 0) AS copied, " +
+                        "count(lo_put($4::oid, $5 + part.start, part.data)) AS chunks FROM " +
+                "(SELECT chunk.start, lo_get($1::oid, $2 + chunk.start, least($6, total.length - chunk.start)::int) AS data FROM " +
+                        "(SELECT coalesce($3::int8, " + sizeQuery("$1::oid") + " - $2) AS length) total, " +
+                        "generate_series(0, total.length - 1, $6::int8) AS chunk(start)) part";
+
+        this._query(
+                {name: "npg_copy_range", text: text, values: [srcOid, srcOffset, length, dstOid, dstOffset, chunkSize]},
+                function(err, result)
+                {
+                        if (err) return callback(errors.translate(err, srcOid, 'copyRange'));
+
+                        callback(null, Number(result.rows[0].copied)); // int8 values are returned as a string by node-postgres
+                }
+        );
+};
+
+/** Copies a range of bytes from one large object to another, entirely on the server (`lo_get` and `lo_put`,
+ * in chunks), so no data is sent to the client. The destination is extended if needed.
+ * The source and destination ranges must not overlap if they are in the same large object.
+ * Requires PostgreSQL 9.4 or higher.
+ * @param {Number} srcOid
+ * @param {Number} srcOffset
+ * @param {?Number} length How many bytes to copy, `null` to copy everything up to the end of the source.
+ *        Less is copied if the source ends earlier.
+ * @param {Number} dstOid
+ * @param {Number} dstOffset
+ * @param {Object} [options]
+ * @param {Number} [options.chunkSize=1048576] The amount of bytes copied at a time, which the server keeps in memory
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<Number>} The amount of bytes that have been copied
+ */
+LargeObjectManager.prototype.copyRangeAsync = function(srcOid, srcOffset, length, dstOid, dstOffset, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.copyRange(srcOid, srcOffset, length, dstOid, dstOffset, options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~concatCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} oid The OID of the new large object
+  */
+/** Creates a new large object containing the contents of the given large objects, one after the other.
+  * The data is copied on the server, see copyRange(). Only call this within a transaction block.
+  * Requires PostgreSQL 9.4 or higher.
+  * @param {Array.<Number>} oids
+  * @param {Object} [options]
+  * @param {Number} [options.oid] The OID to use for the new large object. By default the server picks one.
+  * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
+  * @param {Number} [options.chunkSize=1048576] The amount of bytes copied at a time, which the server keeps in memory
+  * @param {module:pg-large-object/lib/LargeObjectManager~concatCallback} callback
+  */
+LargeObjectManager.prototype.concat = function(oids, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+
+        if (!Array.isArray(oids) || !oids.every(Boolean))
+        {
+                throw new errors.InvalidArgumentError('An array of oids is required', 'concat');
+        }
+
+        var man = this;
+
+        var params = {
+                filename: options.filename,
+                contentType: options.contentType,
+                meta: options.meta
+        };
+
+        man.createFromBuffer(Buffer.alloc(0), options.oid, params, function(err, oid)
+        {
+                if (err) return callback(err);
+
+                (function next(index, offset)
+                {
+                        if (index >= oids.length)
+                        {
+                                return callback(null, oid);
+                        }
+
+                        man.copyRange(oids[index], 0, null, oid, offset, options, function(err, copied)
+                        {
+                                if (err) return callback(err);
+
+                                next(index + 1, offset + copied);
+                        });
+                })(0, 0);
+        });
+};
+
+/** Creates a new large object containing the contents of the given large objects, one after the other.
+ * The data is copied on the server, see copyRange(). Only call this within a transaction block.
+ * Requires PostgreSQL 9.4 or higher.
+ * @param {Array.<Number>} oids
+ * @param {Object} [options]
+ * @param {Number} [options.oid] The OID to use for the new large object. By default the server picks one.
+ * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {Number} [options.chunkSize=1048576] The amount of bytes copied at a time, which the server keeps in memory
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<Number>} The OID of the new large object
+ */
+LargeObjectManager.prototype.concatAsync = function(oids, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.concat(oids, options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~copyCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} oid The OID of the new large object
+  */
+/** Creates a copy of a large object. The data is copied on the server, see copyRange().
+  * The copy is owned by the current role and has the default privileges. If the `metadata` option
+  * of this manager has been given, the metadata of the original is copied as well.
+  * Only call this within a transaction block.
+  * Requires PostgreSQL 9.4 or higher.
+  * @param {Number} oid
+  * @param {Object} [options]
+  * @param {Number} [options.oid] The OID to use for the copy. By default the server picks one.
+  * @param {String} [options.filename] Stored in the metadata table instead of the one of the original (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table instead of the one of the original (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
+  * @param {Number} [options.chunkSize=1048576] The amount of bytes copied at a time, which the server keeps in memory
+  * @param {module:pg-large-object/lib/LargeObjectManager~copyCallback} callback
+  */
+LargeObjectManager.prototype.copy = function(oid, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'copy');
+        }
+
+        options = options || {};
+        var man = this;
+
+        if (!man._metadata)
+        {
+                return man.concat([oid], options, callback);
+        }
+
+        // the copy gets the metadata of the original, unless other values have been given
+        man.getMetadata(oid, function(err, metadata)
+        {
+                if (err) return callback(err);
+
+                metadata = metadata || {};
+                man.concat([oid], Object.assign({}, options, {
+                        filename: options.filename === undefined ? metadata.filename : options.filename,
+                        contentType: options.contentType === undefined ? metadata.contentType : options.contentType,
+                        meta: options.meta === undefined ? metadata.meta : options.meta
+                }), callback);
+        });
+};
+
+/** Creates a copy of a large object. The data is copied on the server, see copyRange().
+ * The copy is owned by the current role and has the default privileges. If the `metadata` option
+ * of this manager has been given, the metadata of the original is copied as well.
+ * Only call this within a transaction block.
+ * Requires PostgreSQL 9.4 or higher.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {Number} [options.oid] The OID to use for the copy. By default the server picks one.
+ * @param {String} [options.filename] Stored in the metadata table instead of the one of the original (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table instead of the one of the original (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {Number} [options.chunkSize=1048576] The amount of bytes copied at a time, which the server keeps in memory
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<Number>} The OID of the copy
+ */
+LargeObjectManager.prototype.copyAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.copy(oid, options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectManager~ObjectInfo
+  * @property {Number} oid
+  * @property {String} owner The name of the role that owns the large object
+  * @property {?Array.<String>} acl The access privileges as `aclitem` strings (e.g. `"joe=rw/postgres"`),
+  *           or `null` if the default privileges apply
+  */
+/** @callback module:pg-large-object/lib/LargeObjectManager~listCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Array.<module:pg-large-object/lib/LargeObjectManager~ObjectInfo>} objects Sorted by OID
+  */
+/** Lists the large objects in the database (using `pg_largeobject_metadata`), sorted by OID.
+  * To retrieve the next page of results, pass the OID of the last object as `afterOid`.
+  * Requires PostgreSQL 9.0 or higher.
+  * @example man.list({owner: 'joe', limit: 100, afterOid: lastOid}, function(err, objects) { ... })
+  * @param {Object} [options]
+  * @param {String} [options.owner] Only list the large objects owned by this role
+  * @param {Number} [options.limit=1000] The maximum amount of large objects to return
+  * @param {Number} [options.afterOid] Only list the large objects with an OID greater than this value
+  * @param {module:pg-large-object/lib/LargeObjectManager~listCallback} callback
+  */
+LargeObjectManager.prototype.list = function(options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+
+        var text = "SELECT m.oid, pg_get_userbyid(m.lomowner)::text AS owner, m.lomacl::text[] AS acl " +
+                "FROM pg_largeobject_metadata m " +
+                "WHERE ($1::oid IS NULL OR m.oid > $1::oid) " +
+                "AND ($2::text IS NULL OR pg_get_userbyid(m.lomowner)::text = $2::text) " +
+                "ORDER BY m.oid LIMIT $3";
+
+        this._query(
+                {
+                        name: "npg_list",
+                        text: text,
+                        values: [options.afterOid || null, options.owner || null,
+                                options.limit === undefined ? 1000 : options.limit]
+                },
+                function(err, result)
+                {
+                        if (err) return callback(err);
+
+                        callback(null, result.rows);
+                }
+        );
+};
+
+/** Lists the large objects in the database (using `pg_largeobject_metadata`), sorted by OID.
+ * To retrieve the next page of results, pass the OID of the last object as `afterOid`.
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Object} [options]
+ * @param {String} [options.owner] Only list the large objects owned by this role
+ * @param {Number} [options.limit=1000] The maximum amount of large objects to return
+ * @param {Number} [options.afterOid] Only list the large objects with an OID greater than this value
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<Array.<module:pg-large-object/lib/LargeObjectManager~ObjectInfo>>}
+ */
+LargeObjectManager.prototype.listAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.list(options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~existsCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Boolean} exists
+  */
+/** Checks whether a large object exists.
+  * Requires PostgreSQL 9.0 or higher.
+  * @param {Number} oid
+  * @param {module:pg-large-object/lib/LargeObjectManager~existsCallback} callback
+  */
+LargeObjectManager.prototype.exists = function(oid, callback)
+{
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'exists');
+        }
+
+        this._query(
+                {
+                        name: "npg_exists",
+                        text: "SELECT EXISTS (SELECT 1 FROM pg_largeobject_metadata WHERE oid = $1::oid) AS exists",
+                        values: [oid]
+                },
+                function(err, result)
+                {
+                        if (err) return callback(err);
+
+                        callback(null, result.rows[0].exists);
+                }
+        );
+};
+
+/** Checks whether a large object exists.
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<boolean>}
+ */
+LargeObjectManager.prototype.existsAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.exists(oid, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectManager~ObjectStat
+  * @property {Number} oid
+  * @property {String} owner The name of the role that owns the large object
+  * @property {Number} size Object size in bytes
+  * @property {?Array.<String>} acl The access privileges as `aclitem` strings (e.g. `"joe=rw/postgres"`),
+  *           or `null` if the default privileges apply
+  */
+/** @callback module:pg-large-object/lib/LargeObjectManager~statCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {?module:pg-large-object/lib/LargeObjectManager~ObjectStat} stat `null` if the large object does not exist
+  */
+/** Retrieves the owner, size and access privileges of a large object in a single round trip,
+  * without the need to open it first.
+  * Requires PostgreSQL 9.3 or higher.
+  * @param {Number} oid
+  * @param {module:pg-large-object/lib/LargeObjectManager~statCallback} callback
+  */
+LargeObjectManager.prototype.stat = function(oid, callback)
+{
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'stat');
+        }
+
+        var text = "SELECT m.oid, pg_get_userbyid(m.lomowner)::text AS owner, m.lomacl::text[] AS acl, " +
+                sizeQuery("m.oid") + " AS size " +
+                "FROM pg_largeobject_metadata m WHERE m.oid = $1::oid";
+
+        this._query(
+                {name: "npg_stat", text: text, values: [oid]},
+                function(err, result)
+                {
+                        if (err) return callback(err);
+
+                        var row = result.rows[0];
+                        if (!row)
+                        {
+                                return callback(null, null);
+                        }
+
+                        // int8 values are returned as a string by node-postgres
+                        callback(null, {oid: row.oid, owner: row.owner, size: Number(row.size), acl: row.acl});
+                }
+        );
+};
+
+/** Retrieves the owner, size and access privileges of a large object in a single round trip,
+ * without the need to open it first.
+ * Requires PostgreSQL 9.3 or higher.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<?module:pg-large-object/lib/LargeObjectManager~ObjectStat>} `null` if the large object does not exist
+ */
+LargeObjectManager.prototype.statAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.stat(oid, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~installSchemaCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Creates the metadata table, if it does not exist yet. Requires the `metadata` option of this manager.
+  * Requires PostgreSQL 9.5 or higher.
+  * @param {module:pg-large-object/lib/LargeObjectManager~installSchemaCallback} [callback]
+  */
+LargeObjectManager.prototype.installSchema = function(callback)
+{
+        if (!this._metadata)
+        {
+                throw new errors.InvalidArgumentError('The metadata option of the LargeObjectManager is required', 'installSchema');
+        }
+
+        var text = "CREATE TABLE IF NOT EXISTS " + this._metadataTable + " (" +
+                "oid oid PRIMARY KEY, " +
+                "filename text, " +
+                "content_type text, " +
+                "meta jsonb NOT NULL DEFAULT '{}', " +
+                "created timestamptz NOT NULL DEFAULT now(), " +
+                "updated timestamptz NOT NULL DEFAULT now())";
+
+        this._query({text: text}, callback ? function(err)
+        {
+                callback(err);
+        } : undefined);
+};
+
+/** Creates the metadata table, if it does not exist yet. Requires the `metadata` option of this manager.
+ * Requires PostgreSQL 9.5 or higher.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObjectManager.prototype.installSchemaAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.installSchema(abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectManager~Metadata
+  * @property {Number} oid
+  * @property {?String} filename
+  * @property {?String} contentType
+  * @property {Object} meta Custom attributes
+  * @property {Date} created
+  * @property {Date} updated
+  */
+
+function toMetadata(row)
+{
+        return {
+                oid: row.oid,
+                filename: row.filename,
+                contentType: row.content_type,
+                meta: row.meta,
+                created: row.created,
+                updated: row.updated
+        };
+}
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~getMetadataCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {?module:pg-large-object/lib/LargeObjectManager~Metadata} metadata `null` if the large object has no
+  *        metadata (or does not exist)
+  */
+/** Retrieves the filename, content type and custom attributes of a large object.
+  * Requires the `metadata` option of this manager.
+  * @param {Number} oid
+  * @param {module:pg-large-object/lib/LargeObjectManager~getMetadataCallback} callback
+  */
+LargeObjectManager.prototype.getMetadata = function(oid, callback)
+{
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'getMetadata');
+        }
+
+        if (!this._metadata)
+        {
+                throw new errors.InvalidArgumentError('The metadata option of the LargeObjectManager is required', 'getMetadata');
+        }
+
+        var text = "SELECT oid, filename, content_type, meta, created, updated FROM " + this._metadataTable +
+                " WHERE oid = $1";
+
+        this._query({text: text, values: [oid]}, function(err, result)
+        {
+                if (err) return callback(err);
+
+                var row = result.rows[0];
+                callback(null, row ? toMetadata(row) : null);
+        });
+};
+
+/** Retrieves the filename, content type and custom attributes of a large object.
+ * Requires the `metadata` option of this manager.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<?module:pg-large-object/lib/LargeObjectManager~Metadata>} `null` if the large object has no
+ *          metadata (or does not exist)
+ */
+LargeObjectManager.prototype.getMetadataAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.getMetadata(oid, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~updateMetadataCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {module:pg-large-object/lib/LargeObjectManager~Metadata} metadata The updated metadata
+  */
+/** Changes the filename, content type or custom attributes of a large object, using a single statement.
+  * Only the given properties are changed. The custom attributes are merged with the existing ones:
+  * attributes which are set to `null` are removed. If the large object has no metadata yet (because it
+  * was created without the `metadata` option), it is added.
+  * Requires the `metadata` option of this manager. Requires PostgreSQL 9.5 or higher.
+  * @example man.updateMetadata(oid, {contentType: 'image/png', meta: {width: 640, draft: null}}, callback)
+  * @param {Number} oid
+  * @param {Object} patch
+  * @param {?String} [patch.filename]
+  * @param {?String} [patch.contentType]
+  * @param {Object} [patch.meta]
+  * @param {module:pg-large-object/lib/LargeObjectManager~updateMetadataCallback} callback
+  */
+LargeObjectManager.prototype.updateMetadata = function(oid, patch, callback)
+{
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'updateMetadata');
+        }
+
+        if (!this._metadata)
+        {
+                throw new errors.InvalidArgumentError('The metadata option of the LargeObjectManager is required', 'updateMetadata');
+        }
+
+        if (!patch || typeof patch !== 'object')
+        {
+                throw new errors.InvalidArgumentError('patch must be an object', 'updateMetadata');
+        }
+
+        if (patch.meta !== undefined && (!patch.meta || typeof patch.meta !== 'object' || Array.isArray(patch.meta)))
+        {
+                throw new errors.InvalidArgumentError('meta must be an object', 'updateMetadata');
+        }
+
+        // keys of the patch which are set to null are removed from the attributes
+        // (without the jsonb - text[] operator, which requires PostgreSQL 10)
+        var withoutNulls = function(meta)
+        {
+                return "(SELECT coalesce(jsonb_object_agg(key, value), '{}'::jsonb) " +
+                        "FROM jsonb_each(" + meta + ") WHERE value <> 'null'::jsonb)";
+        };
+        var text = "INSERT INTO " + this._metadataTable + " AS md (oid, filename, content_type, meta) " +
+                "SELECT m.oid, $3::text, $5::text, " + withoutNulls("$6::jsonb") + " " +
+                "FROM pg_largeobject_metadata m WHERE m.oid = $1 " +
+                "ON CONFLICT (oid) DO UPDATE SET " +
+                "filename = CASE WHEN $2::boolean THEN $3::text ELSE md.filename END, " +
+                "content_type = CASE WHEN $4::boolean THEN $5::text ELSE md.content_type END, " +
+                "meta = " + withoutNulls("md.meta || $6::jsonb") + ", " +
+                "updated = now() " +
+                "RETURNING md.oid, md.filename, md.content_type, md.meta, md.created, md.updated";
+        var values = [
+                oid,
+                patch.filename !== undefined,
+                patch.filename === undefined ? null : patch.filename,
+                patch.contentType !== undefined,
+                patch.contentType === undefined ? null : patch.contentType,
+                JSON.stringify(patch.meta || {})
+        ];
+
+        this._query({text: text, values: values}, function(err, result)
+        {
+                if (err) return callback(errors.translate(err, oid, 'updateMetadata'));
+
+                var row = result.rows[0];
+                if (!row)
+                {
+                        return callback(new errors.ObjectNotFoundError(oid, 'updateMetadata'));
+                }
+
+                callback(null, toMetadata(row));
+        });
+};
+
+/** Changes the filename, content type or custom attributes of a large object, using a single statement.
+ * Only the given properties are changed. The custom attributes are merged with the existing ones:
+ * attributes which are set to `null` are removed. If the large object has no metadata yet (because it
+ * was created without the `metadata` option), it is added.
+ * Requires the `metadata` option of this manager. Requires PostgreSQL 9.5 or higher.
+ * @param {Number} oid
+ * @param {Object} patch
+ * @param {?String} [patch.filename]
+ * @param {?String} [patch.contentType]
+ * @param {Object} [patch.meta]
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<module:pg-large-object/lib/LargeObjectManager~Metadata>} Rejected with an ObjectNotFoundError
+ *          if the large object does not exist
+ */
+LargeObjectManager.prototype.updateMetadataAsync = function(oid, patch, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.updateMetadata(oid, patch, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+// DDL statements do not accept bind parameters, so the OID has to be embedded in the query text
+function oidLiteral(oid, operation)
+{
+        if (typeof oid !== 'number' || oid <= 0 || oid > 4294967295 || oid % 1 !== 0)
+        {
+                throw new errors.InvalidArgumentError('oid must be an integer between 1 and 4294967295', operation);
+        }
+
+        return String(oid);
+}
+
+function roleSpecification(role)
+{
+        return /^public$/i.test(role) ? 'PUBLIC' : quoteIdentifier(role);
+}
+
+function privilegeList(privileges, operation)
+{
+        if (typeof privileges === 'string')
+        {
+                privileges = [privileges];
+        }
+
+        if (!Array.isArray(privileges) || !privileges.length)
+        {
+                throw new errors.InvalidArgumentError('privileges must be a non-empty string or array', operation);
+        }
+
+        return privileges.map(function(privilege)
+        {
+                privilege = String(privilege).toUpperCase();
+                if (privilege !== 'SELECT' && privilege !== 'UPDATE' && privilege !== 'ALL')
+                {
+                        throw new errors.InvalidArgumentError('Unknown privilege ' + privilege + ', expected SELECT, UPDATE or ALL', operation);
+                }
+                return privilege;
+        }).join(', ');
+}
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~setOwnerCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Changes the owner of a large object (`ALTER LARGE OBJECT ... OWNER TO`).
+  * Requires PostgreSQL 9.0 or higher.
+  * @param {Number} oid
+  * @param {String} role The name of the new owner
+  * @param {module:pg-large-object/lib/LargeObjectManager~setOwnerCallback} [callback]
+  */
+LargeObjectManager.prototype.setOwner = function(oid, role, callback)
+{
+        var text = "ALTER LARGE OBJECT " + oidLiteral(oid, 'setOwner') + " OWNER TO " + quoteIdentifier(role);
+
+        this._query({text: text}, callback ? function(err)
+        {
+                callback(errors.translate(err, oid, 'setOwner'));
+        } : undefined);
+};
+
+/** Changes the owner of a large object (`ALTER LARGE OBJECT ... OWNER TO`).
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Number} oid
+ * @param {String} role The name of the new owner
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObjectManager.prototype.setOwnerAsync = function(oid, role, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.setOwner(oid, role, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~grantCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Grants privileges on a large object to a role.
+  * Requires PostgreSQL 9.0 or higher.
+  * @example man.grant(oid, 'joe', ['SELECT', 'UPDATE'], function(err) { ... })
+  * @param {Number} oid
+  * @param {String} role The name of the role, or `PUBLIC` for all roles
+  * @param {String|Array.<String>} privileges `SELECT`, `UPDATE` or `ALL`
+  * @param {module:pg-large-object/lib/LargeObjectManager~grantCallback} [callback]
+  */
+LargeObjectManager.prototype.grant = function(oid, role, privileges, callback)
+{
+        var text = "GRANT " + privilegeList(privileges, 'grant') + " ON LARGE OBJECT " + oidLiteral(oid, 'grant') +
+                " TO " + roleSpecification(role);
+
+        this._query({text: text}, callback ? function(err)
+        {
+                callback(errors.translate(err, oid, 'grant'));
+        } : undefined);
+};
+
+/** Grants privileges on a large object to a role.
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Number} oid
+ * @param {String} role The name of the role, or `PUBLIC` for all roles
+ * @param {String|Array.<String>} privileges `SELECT`, `UPDATE` or `ALL`
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObjectManager.prototype.grantAsync = function(oid, role, privileges, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.grant(oid, role, privileges, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~revokeCallback
+  * @param {?Error} error If set, an error occurred.
+  */
+/** Revokes privileges on a large object from a role.
+  * Requires PostgreSQL 9.0 or higher.
+  * @param {Number} oid
+  * @param {String} role The name of the role, or `PUBLIC` for all roles
+  * @param {String|Array.<String>} privileges `SELECT`, `UPDATE` or `ALL`
+  * @param {module:pg-large-object/lib/LargeObjectManager~revokeCallback} [callback]
+  */
+LargeObjectManager.prototype.revoke = function(oid, role, privileges, callback)
+{
+        var text = "REVOKE " + privilegeList(privileges, 'revoke') + " ON LARGE OBJECT " + oidLiteral(oid, 'revoke') +
+                " FROM " + roleSpecification(role);
+
+        this._query({text: text}, callback ? function(err)
+        {
+                callback(errors.translate(err, oid, 'revoke'));
+        } : undefined);
+};
+
+/** Revokes privileges on a large object from a role.
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Number} oid
+ * @param {String} role The name of the role, or `PUBLIC` for all roles
+ * @param {String|Array.<String>} privileges `SELECT`, `UPDATE` or `ALL`
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise}
+ */
+LargeObjectManager.prototype.revokeAsync = function(oid, role, privileges, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.revoke(oid, role, privileges, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~getPrivilegesCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {?Array.<module:pg-large-object/lib/acl~Privilege>} privileges `null` if the large object does not exist
+  */
+/** Retrieves the privileges that have been granted on a large object (parsed from `lomacl`).
+  * If no privileges have been granted or revoked yet, the default privileges are returned: only
+  * the owner may read and write the large object.
+  * Requires PostgreSQL 9.0 or higher.
+  * @param {Number} oid
+  * @param {module:pg-large-object/lib/LargeObjectManager~getPrivilegesCallback} callback
+  */
+LargeObjectManager.prototype.getPrivileges = function(oid, callback)
+{
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'getPrivileges');
+        }
+
+        this._query(
+                {
+                        name: "npg_get_privileges",
+                        text: "SELECT pg_get_userbyid(m.lomowner)::text AS owner, m.lomacl::text[] AS acl " +
+                                "FROM pg_largeobject_metadata m WHERE m.oid = $1::oid",
+                        values: [oid]
+                },
+                function(err, result)
+                {
+                        if (err) return callback(err);
+
+                        var row = result.rows[0];
+                        if (!row)
+                        {
+                                return callback(null, null);
+                        }
+
+                        if (!row.acl)
+                        {
+                                return callback(null, [{
+                                        grantee: row.owner,
+                                        grantor: row.owner,
+                                        privileges: ['SELECT', 'UPDATE'],
+                                        grantable: []
+                                }]);
+                        }
+
+                        var privileges;
+                        try
+                        {
+                                privileges = acl.parseAcl(row.acl);
+                        }
+                        catch (err)
+                        {
+                                return callback(err);
+                        }
+
+                        callback(null, privileges);
+                }
+        );
+};
+
+/** Retrieves the privileges that have been granted on a large object (parsed from `lomacl`).
+ * If no privileges have been granted or revoked yet, the default privileges are returned: only
+ * the owner may read and write the large object.
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<?Array.<module:pg-large-object/lib/acl~Privilege>>} `null` if the large object does not exist
+ */
+LargeObjectManager.prototype.getPrivilegesAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.getPrivileges(oid, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectManager~Reference
+  * @property {String} [schema] By default the table is looked up using the search_path
+  * @property {String} table
+  * @property {String} column A column which contains large object OIDs
+  */
+
+/** Use the given references, or find the columns of type `oid` or `lo` in all user tables
+  * (the same columns that vacuumlo checks) if none are given. The metadata table is never a reference:
+  * its rows are removed together with the large objects.
+  * @private
+  * @param {?Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} references
+  * @param {function} callback
+  */
+LargeObjectManager.prototype._withReferences = function(references, callback)
+{
+        if (references)
+        {
+                return callback(null, references);
+        }
+
+        var text = "SELECT n.nspname::text AS schema, c.relname::text AS table, a.attname::text AS column " +
+                "FROM pg_catalog.pg_attribute a " +
+                "JOIN pg_catalog.pg_class c ON c.oid = a.attrelid " +
+                "JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace " +
+                "JOIN pg_catalog.pg_type t ON t.oid = a.atttypid " +
+                "WHERE a.attnum > 0 AND NOT a.attisdropped " +
+                "AND c.relkind IN ('r', 'm') " +
+                "AND t.typname IN ('oid', 'lo') " +
+                "AND n.nspname NOT IN ('pg_catalog', 'information_schema') " +
+                "AND n.nspname !~ '^pg_toast' " +
+                "ORDER BY 1, 2, 3";
+
+        var metadata = this._metadata;
+
+        this._query({name: "npg_discover_references", text: text}, function(err, result)
+        {
+                if (err) return callback(err);
+
+                callback(null, result.rows.filter(function(ref)
+                {
+                        return !metadata || ref.table !== metadata.table ||
+                                (metadata.schema !== null && ref.schema !== metadata.schema);
+                }));
+        });
+};
+
+function orphanCondition(references, operation)
+{
+        var conditions = references.map(function(ref)
+        {
+                if (!ref || typeof ref.table !== 'string' || typeof ref.column !== 'string')
+                {
+                        throw new errors.InvalidArgumentError('Every reference must have a table and a column', operation);
+                }
+
+                var table = (ref.schema ? quoteIdentifier(ref.schema) + '.' : '') + quoteIdentifier(ref.table);
+                return "NOT EXISTS (SELECT 1 FROM " + table + " WHERE " + quoteIdentifier(ref.column) + " = m.oid)";
+        });
+
+        return conditions.length ? conditions.join(' AND ') : 'TRUE';
+}
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectManager~OrphanReport
+  * @property {Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} references The columns that were checked
+  * @property {Array.<Number>} orphans The OIDs of the large objects that are not referenced by any of these columns
+  */
+/** @callback module:pg-large-object/lib/LargeObjectManager~findOrphansCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {module:pg-large-object/lib/LargeObjectManager~OrphanReport} report
+  */
+/** Find all large objects which are not referenced by any of the given columns.
+  * If no references are given, all columns of type `oid` or `lo` in all tables are checked (just like vacuumlo).
+  * Requires PostgreSQL 9.0 or higher.
+  * @param {Object} [options]
+  * @param {Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} [options.references]
+  * @param {module:pg-large-object/lib/LargeObjectManager~findOrphansCallback} callback
+  */
+LargeObjectManager.prototype.findOrphans = function(options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+        var man = this;
+
+        man._withReferences(options.references, function(err, references)
+        {
+                if (err) return callback(err);
+
+                var text = "SELECT m.oid FROM pg_largeobject_metadata m WHERE " + orphanCondition(references, 'findOrphans') +
+                        " ORDER BY m.oid";
+
+                man._query({text: text}, function(err, result)
+                {
+                        if (err) return callback(err);
+
+                        callback(null, {
+                                references: references,
+                                orphans: result.rows.map(function(row) { return row.oid; })
+                        });
+                });
+        });
+};
+
+/** Find all large objects which are not referenced by any of the given columns.
+ * If no references are given, all columns of type `oid` or `lo` in all tables are checked (just like vacuumlo).
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Object} [options]
+ * @param {Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} [options.references]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<module:pg-large-object/lib/LargeObjectManager~OrphanReport>}
+ */
+LargeObjectManager.prototype.findOrphansAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.findOrphans(options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @typedef {Object} module:pg-large-object/lib/LargeObjectManager~CollectOrphansReport
+  * @property {Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} references The columns that were checked
+  * @property {Array.<Number>} removed The OIDs of the large objects that were removed (or would have been removed,
+  *           if `dryRun` is set)
+  * @property {Boolean} dryRun
+  */
+/** @callback module:pg-large-object/lib/LargeObjectManager~collectOrphansCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {module:pg-large-object/lib/LargeObjectManager~CollectOrphansReport} report
+  */
+/** Unlink all large objects which are not referenced by any of the given columns (a vacuumlo equivalent).
+  * If no references are given, all columns of type `oid` or `lo` in all tables are checked. Be careful:
+  * if the database has no such columns, every large object is removed.
+  * The large objects are unlinked in batches, each using a single statement. When called outside of a
+  * transaction block, every batch is committed separately, so that an error does not undo the batches
+  * that have already been removed. The metadata rows of the removed large objects are deleted as well.
+  * Requires PostgreSQL 9.0 or higher.
+  * @param {Object} [options]
+  * @param {Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} [options.references]
+  * @param {Boolean} [options.dryRun=false] Only report which large objects would be removed
+  * @param {Number} [options.batchSize=1000] The maximum amount of large objects to unlink per statement
+  * @param {module:pg-large-object/lib/LargeObjectManager~collectOrphansCallback} callback
+  */
+LargeObjectManager.prototype.collectOrphans = function(options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+        var man = this;
+        var batchSize = options.batchSize || 1000;
+
+        if (batchSize < 1)
+        {
+                throw new errors.InvalidArgumentError('batchSize must be a positive number', 'collectOrphans');
+        }
+
+        if (options.dryRun)
+        {
+                man.findOrphans({references: options.references}, function(err, report)
+                {
+                        if (err) return callback(err);
+
+                        callback(null, {references: report.references, removed: report.orphans, dryRun: true});
+                });
+                return;
+        }
+
+        man._withReferences(options.references, function(err, references)
+        {
+                if (err) return callback(err);
+
+                var text = "SELECT orphan.oid, lo_unlink(orphan.oid) FROM " +
+                        "(SELECT m.oid FROM pg_largeobject_metadata m WHERE " + orphanCondition(references, 'collectOrphans') +
+                        " ORDER BY m.oid LIMIT $1) orphan";
+
+                if (man._metadata)
+                {
+                        text = "WITH orphan AS (SELECT m.oid FROM pg_largeobject_metadata m WHERE " +
+                                orphanCondition(references, 'collectOrphans') + " ORDER BY m.oid LIMIT $1), " +
+                                "removed AS (DELETE FROM " + man._metadataTable + " WHERE oid IN (SELECT oid FROM orphan)) " +
+                                "SELECT orphan.oid, lo_unlink(orphan.oid) FROM orphan";
+                }
+                var removed = [];
+
+                (function unlinkBatch()
+                {
+                        man._query({text: text, values: [batchSize]}, function(err, result)
+                        {
+                                if (err) return callback(err);
+
+                                result.rows.forEach(function(row)
+                                {
+                                        removed.push(row.oid);
+                                });
+
+                                if (result.rows.length < batchSize)
+                                {
+                                        return callback(null, {references: references, removed: removed, dryRun: false});
+                                }
+
+                                unlinkBatch();
+                        });
+                })();
+        });
+};
+
+/** Unlink all large objects which are not referenced by any of the given columns (a vacuumlo equivalent).
+ * If no references are given, all columns of type `oid` or `lo` in all tables are checked. Be careful:
+ * if the database has no such columns, every large object is removed.
+ * The large objects are unlinked in batches, each using a single statement. When called outside of a
+ * transaction block, every batch is committed separately, so that an error does not undo the batches
+ * that have already been removed. The metadata rows of the removed large objects are deleted as well.
+ * Requires PostgreSQL 9.0 or higher.
+ * @param {Object} [options]
+ * @param {Array.<module:pg-large-object/lib/LargeObjectManager~Reference>} [options.references]
+ * @param {Boolean} [options.dryRun=false] Only report which large objects would be removed
+ * @param {Number} [options.batchSize=1000] The maximum amount of large objects to unlink per statement
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<module:pg-large-object/lib/LargeObjectManager~CollectOrphansReport>}
+ */
+LargeObjectManager.prototype.collectOrphansAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.collectOrphans(options, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~openAndReadableStreamCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} size The total size of the large object
+  * @param {module:pg-large-object/lib/ReadStream} stream A ReadStream, or a zlib stream (with a `compression` property)
+  *        if the large object is being decompressed
+  * @param {?Number} length The amount of bytes that will be streamed. This is equal to `size` unless
+  *        the `start` or `end` option has been given. When decompressing, this is the uncompressed
+  *        size (or `null` if it is not known), while `size` is the stored size.
+  */
+/** Open a large object, return a stream and close the object when done streaming.
+  * Only call this within a transaction block.
+  * @example man.openAndReadableStream(oid, {start: 1024, end: 2047}, function(err, size, stream, length) { ... })
+  * @param {Number} oid  
+  * @param {Number|Object} [options] The buffer size, or an object with options
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.start=0] The offset of the first byte to stream
+  * @param {Number} [options.end] The offset of the last byte to stream (inclusive). By default
+  *        the stream continues until the end of the large object.
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Abort opening the large object, or destroy the stream, when this signal is aborted
+  * @param {Number} [options.timeout] Abort if opening the large object takes longer than this many milliseconds,
+  *        or destroy the stream if no data has been requested for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the streamed data using this algorithm (e.g. `sha256`),
+  *        which is available as `stream.digest` once the end has been reached
+  * @param {String} [options.expectedHash] The expected digest (hex) of the streamed data. If it does not match
+  *        once the end has been reached, the stream emits a ChecksumMismatchError instead of `end`.
+  *        Implies `hash: 'sha256'` unless another algorithm is given.
+  * @param {Boolean|String} [options.decompress] Set to `auto` (or `true`) to decompress large objects
+  *        which have been stored using the `compress` option of createAndWritableStream(). The format is
+  *        detected from the stored header; large objects without this header are streamed as-is.
+  *        Can not be combined with `start` and `end`. The hash options describe the stored (compressed) data.
+  * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip,
+  *        which improves throughput on high latency connections (see LargeObject.getReadableStream())
+  * @param {Object} [options.decrypt] Decrypt a large object which has been stored using the `encrypt` option
+  *        of createAndWritableStream() (see openEncrypted()). The size, `start`, `end` and the hash options
+  *        then describe the decrypted data. If the large object can not be decrypted, a DecryptionError is given.
+  * @param {function} options.decrypt.keyProvider Called with the key id stored in the large object,
+  *        returns the key (a Buffer of 32 bytes) or a promise for it
+  * @param {module:pg-large-object/lib/LargeObjectManager~openAndReadableStreamCallback} callback
+  * 
+  */
+LargeObjectManager.prototype.openAndReadableStream = function(oid, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (typeof options !== 'object' || options === null)
+        {
+                options = {bufferSize: options};
+        }
+
+        var start = options.start || 0;
+        var end = options.end === undefined ? Infinity : options.end;
+
+        if (start < 0 || end < start)
+        {
+                throw new errors.InvalidArgumentError('start and end must describe a valid range', 'openAndReadableStream');
+        }
+
+        if (options.decompress && (options.start !== undefined || options.end !== undefined))
+        {
+                throw new errors.InvalidArgumentError('start and end can not be combined with decompress', 'openAndReadableStream');
+        }
+
+        ReadStream.checkOptions(options, 'openAndReadableStream');
+
+        if (options.decrypt)
+        {
+                EncryptedLargeObject.checkOptions(options.decrypt, 'openAndReadableStream');
+        }
+
+        var obj = null;
+        var aborted = false;
+        callback = abortable.wrapCallback(options, callback, {
+                onAbort: function()
+                {
+                        aborted = true;
+                        if (obj) obj._abortClose();
+                }
+        });
+        
+        var open = options.decrypt
+                ? this.openEncrypted.bind(this, oid, LargeObjectManager.READ, {keyProvider: options.decrypt.keyProvider})
+                : this.open.bind(this, oid, LargeObjectManager.READ);
+
+        open(function(err, _obj)
+        {
+                if (err) return callback(err);
+
+                obj = _obj;
+                if (aborted) return obj._abortClose();
+
+                // the large object has been opened, so it must be closed if anything goes wrong from now on
+                function fail(err)
+                {
+                        obj._abortClose();
+                        callback(err);
+                }
+                
+                obj.size(function(err, size)
+                {
+                        if (err) return fail(err);
+                        if (aborted) return;
+
+                        var length = Math.max(0, Math.min(end + 1, size) - start);
+
+                        // look for a compression header, and rewind if there is none
+                        function readHeader(callback)
+                        {
+                                if (!options.decompress || length < compression.HEADER_SIZE)
+                                {
+                                        return callback(null, null);
+                                }
+
+                                obj.read(compression.HEADER_SIZE, function(err, data)
+                                {
+                                        if (err) return callback(err);
+
+                                        var header = compression.parseHeader(data);
+                                        if (header)
+                                        {
+                                                length -= compression.HEADER_SIZE;
+                                                return callback(null, header);
+                                        }
+
+                                        obj.seek(0, LargeObject.SEEK_SET, function(err)
+                                        {
+                                                callback(err, null);
+                                        });
+                                });
+                        }
+
+                        function seekToStart(callback)
+                        {
+                                if (!start || !length)
+                                {
+                                        return callback(null);
+                                }
+
+                                obj.seek(start, LargeObject.SEEK_SET, callback);
+                        }
+
+                        readHeader(function(err, header)
+                        {
+                                if (err) return fail(err);
+                                if (aborted) return;
+
+                                seekToStart(function(err)
+                                {
+                                        if (err) return fail(err);
+                                        if (aborted) return;
+
+                                        var stream = obj.getReadableStream({
+                                                bufferSize: options.bufferSize,
+                                                length: length,
+                                                progressInterval: options.progressInterval,
+                                                signal: options.signal,
+                                                timeout: options.timeout,
+                                                hash: options.hash,
+                                                expectedHash: options.expectedHash,
+                                                readAhead: options.readAhead
+                                        });
+
+                                        // close as soon as the end has been reached (before the caller commits),
+                                        // or when the stream has been destroyed early (because of an error, for example)
+                                        stream.on('end', function()
+                                        {
+                                                obj._abortClose();
+                                        });
+                                        stream.on('close', function()
+                                        {
+                                                obj._abortClose();
+                                        });
+
+                                        if (header)
+                                        {
+                                                return callback(null, size, compression.decompressStream(stream, header.format),
+                                                        header.logicalSize);
+                                        }
+
+                                        callback(null, size, stream, length);
+                                });
+                        });
+                });
+        });
+};
+
+/** Open a large object, return a stream and close the object when done streaming.
+ * Only call this within a transaction block.
+ * @param {Number} oid
+ * @param {Number|Object} [options] The buffer size, or an object with options
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.start=0] The offset of the first byte to stream
+ * @param {Number} [options.end] The offset of the last byte to stream (inclusive). By default
+ *        the stream continues until the end of the large object.
+ * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+ * @param {AbortSignal} [options.signal] Abort opening the large object, or destroy the stream, when this signal is aborted
+ * @param {Number} [options.timeout] Abort if opening the large object takes longer than this many milliseconds,
+ *        or destroy the stream if no data has been requested for this many milliseconds
+ * @param {String} [options.hash] Calculate a digest of the streamed data using this algorithm (e.g. `sha256`),
+ *        which is available as `stream.digest` once the end has been reached
+ * @param {String} [options.expectedHash] The expected digest (hex) of the streamed data. If it does not match
+ *        once the end has been reached, the stream emits a ChecksumMismatchError instead of `end`.
+ *        Implies `hash: 'sha256'` unless another algorithm is given.
+ * @param {Boolean|String} [options.decompress] Set to `auto` (or `true`) to decompress large objects
+ *        which have been stored using the `compress` option of createAndWritableStream(). The format is
+ *        detected from the stored header; large objects without this header are streamed as-is.
+ *        Can not be combined with `start` and `end`. The hash options describe the stored (compressed) data.
+ * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip,
+ *        which improves throughput on high latency connections (see LargeObject.getReadableStream())
+ * @param {Object} [options.decrypt] Decrypt a large object which has been stored using the `encrypt` option
+ *        of createAndWritableStream() (see openEncrypted()). The size, `start`, `end` and the hash options
+ *        then describe the decrypted data. If the large object can not be decrypted, the promise is rejected
+ *        with a DecryptionError.
+ * @param {function} options.decrypt.keyProvider Called with the key id stored in the large object,
+ *        returns the key (a Buffer of 32 bytes) or a promise for it
+ * @returns {Promise.<Array>} The total size, a ReadStream and the amount of bytes that will be streamed
+ *
+ */
+LargeObjectManager.prototype.openAndReadableStreamAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.openAndReadableStream(oid, options, callback);
+        }, this, {threeArgs: true});
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~createAndWritableStreamCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} oid  
+  * @param {module:pg-large-object/lib/WriteStream} stream
+  */
+/** Create and open a large object, return a stream and close the object when done streaming.
+  * Only call this within a transaction block.
+  * @param {Number|Object} [options] The buffer size, or an object with options
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.oid] The OID to use for the new large object. If this OID is already
+  *        in use, an ObjectExistsError is given. By default the server picks an unused OID.
+  * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
+  * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+  *        as reported by the progress event
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Abort creating the large object, or destroy the stream, when this signal is aborted
+  * @param {Number} [options.timeout] Abort if creating the large object takes longer than this many milliseconds,
+  *        or destroy the stream if no data has been written for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+  *        which is available as `stream.digest` once all data has been written
+  * @param {Number} [options.blockSize=2048] Small chunks are combined and written in multiples of this many bytes
+  *        (see LargeObject.getWritableStream())
+  * @param {String} [options.compress] Compress the data using `gzip`, `deflate` or `brotli` before it is
+  *        stored. A small header is stored in front of the compressed data, so that openAndReadableStream()
+  *        can detect the format (see its `decompress` option). The progress event and `digest` describe
+  *        the stored (compressed) data.
+  * @param {Object} [options.encrypt] Encrypt the data using AES-256-GCM before it is stored (see openEncrypted()).
+  *        Read it back using the `decrypt` option of openAndReadableStream(). Can be combined with `compress`,
+  *        in which case the data is compressed first. The progress event and `digest` describe the data
+  *        before it is encrypted.
+  * @param {function} options.encrypt.keyProvider Called with the key id, returns the key (a Buffer of 32 bytes)
+  *        or a promise for it
+  * @param {String} options.encrypt.keyId The key id to encrypt with, which is stored in the large object
+  * @param {Number} [options.encrypt.segmentSize=65536] The amount of plain text per authenticated segment
+  * @param {module:pg-large-object/lib/LargeObjectManager~createAndWritableStreamCallback} [callback]
+  */
+LargeObjectManager.prototype.createAndWritableStream = function(options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (typeof options !== 'object' || options === null)
+        {
+                options = {bufferSize: options};
+        }
+
+        var header = options.compress ? compression.createHeader(options.compress, null) : null;
+
+        if (options.encrypt)
+        {
+                EncryptedLargeObject.checkOptions(options.encrypt, 'createAndWritableStream');
+
+                if (!options.encrypt.keyId)
+                {
+                        throw new errors.InvalidArgumentError('The keyId option is required to encrypt', 'createAndWritableStream');
+                }
+        }
+
+        WriteStream.checkOptions(options, 'createAndWritableStream');
+
+        var man = this;
+        var aborted = false;
+        callback = abortable.wrapCallback(options, callback, {
+                onAbort: function()
+                {
+                        aborted = true;
+                }
+        });
+        
+        man.create({
+                oid: options.oid,
+                filename: options.filename,
+                contentType: options.contentType,
+                meta: options.meta
+        }, function(err, oid)
+        {
+                if (err) return callback(err);
+                if (aborted) return;
+                
+                var open = options.encrypt
+                        ? man.openEncrypted.bind(man, oid, LargeObjectManager.WRITE, options.encrypt)
+                        : man.open.bind(man, oid, LargeObjectManager.WRITE);
+
+                open(function(err, obj)
+                {
+                        if (err) return callback(err);
+                        if (aborted) return obj._abortClose();
+
+                        function writeHeader(callback)
+                        {
+                                if (!header)
+                                {
+                                        return callback(null);
+                                }
+
+                                obj.write(header, callback);
+                        }
+
+                        writeHeader(function(err)
+                        {
+                                if (err)
+                                {
+                                        obj._abortClose();
+                                        return callback(err);
+                                }
+                                if (aborted) return obj._abortClose();
+
+                                var stream = header
+                                        ? new compression.CompressStream(obj, options.compress, options)
+                                        : obj.getWritableStream(options);
+
+                                // close when all data has been written, or when the stream has been destroyed early
+                                stream.on('finish', function()
+                                {
+                                        obj._abortClose();
+                                });
+                                stream.on('close', function()
+                                {
+                                        obj._abortClose();
+                                });
+
+                                callback(null, oid, stream);
+                        });
+                });
+        });
+};
+
+/** Create and open a large object, return a stream and close the object when done streaming.
+ * Only call this within a transaction block.
+ * @param {Number|Object} [options] The buffer size, or an object with options
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.oid] The OID to use for the new large object. If this OID is already
+ *        in use, the promise is rejected with an ObjectExistsError. By default the server picks an unused OID.
+ * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+ *        as reported by the progress event
+ * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+ * @param {AbortSignal} [options.signal] Abort creating the large object, or destroy the stream, when this signal is aborted
+ * @param {Number} [options.timeout] Abort if creating the large object takes longer than this many milliseconds,
+ *        or destroy the stream if no data has been written for this many milliseconds
+ * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+ *        which is available as `stream.digest` once all data has been written
+ * @param {Number} [options.blockSize=2048] Small chunks are combined and written in multiples of this many bytes
+ *        (see LargeObject.getWritableStream())
+ * @param {String} [options.compress] Compress the data using `gzip`, `deflate` or `brotli` before it is
+ *        stored. A small header is stored in front of the compressed data, so that openAndReadableStream()
+ *        can detect the format (see its `decompress` option). The progress event and `digest` describe
+ *        the stored (compressed) data.
+ * @param {Object} [options.encrypt] Encrypt the data using AES-256-GCM before it is stored (see openEncrypted()).
+ *        Read it back using the `decrypt` option of openAndReadableStream(). Can be combined with `compress`,
+ *        in which case the data is compressed first. The progress event and `digest` describe the data
+ *        before it is encrypted.
+ * @param {function} options.encrypt.keyProvider Called with the key id, returns the key (a Buffer of 32 bytes)
+ *        or a promise for it
+ * @param {String} options.encrypt.keyId The key id to encrypt with, which is stored in the large object
+ * @param {Number} [options.encrypt.segmentSize=65536] The amount of plain text per authenticated segment
+ * @returns {promise.<Array>} The oid and a WriteStream
+ */
+LargeObjectManager.prototype.createAndWritableStreamAsync = function(options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.createAndWritableStream(options, callback);
+        }, this, {twoArgs: true});
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~openAndWritableStreamCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} position The offset at which the stream starts writing
+  * @param {module:pg-large-object/lib/WriteStream} stream
+  */
+/** Open an existing large object, return a stream which writes to it and close the object when done streaming.
+  * By default the stream starts writing at the beginning (overwriting the existing data, but not truncating it).
+  * Only call this within a transaction block.
+  * @example man.openAndWritableStream(oid, {append: true}, function(err, position, stream) { ... })
+  * @param {Number} oid
+  * @param {Object} [options]
+  * @param {Boolean} [options.append=false] Start writing at the end of the large object
+  * @param {Number} [options.offset=0] Start writing at this offset. Can not be combined with `append`.
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.blockSize=2048] Small chunks are combined and written in multiples of this many bytes
+  *        (see LargeObject.getWritableStream())
+  * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+  *        as reported by the progress event
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Abort opening the large object, or destroy the stream, when this signal is aborted
+  * @param {Number} [options.timeout] Abort if opening the large object takes longer than this many milliseconds,
+  *        or destroy the stream if no data has been written for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+  *        which is available as `stream.digest` once all data has been written
+  * @param {module:pg-large-object/lib/LargeObjectManager~openAndWritableStreamCallback} callback
+  */
+LargeObjectManager.prototype.openAndWritableStream = function(oid, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        options = options || {};
+
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'openAndWritableStream');
+        }
+
+        if (options.append && options.offset !== undefined)
+        {
+                throw new errors.InvalidArgumentError('append and offset can not be combined', 'openAndWritableStream');
+        }
+
+        if (options.offset !== undefined && !(options.offset >= 0))
+        {
+                throw new errors.InvalidArgumentError('offset must not be negative', 'openAndWritableStream');
+        }
+
+        WriteStream.checkOptions(options, 'openAndWritableStream');
+
+        var aborted = false;
+        callback = abortable.wrapCallback(options, callback, {
+                onAbort: function()
+                {
+                        aborted = true;
+                }
+        });
+
+        this.open(oid, LargeObjectManager.WRITE, function(err, obj)
+        {
+                if (err) return callback(err);
+                if (aborted) return obj._abortClose();
+
+                var position = options.append ? 0 : options.offset || 0;
+                var ref = options.append ? LargeObject.SEEK_END : LargeObject.SEEK_SET;
+
+                obj.seek(position, ref, function(err, position)
+                {
+                        if (err)
+                        {
+                                obj._abortClose();
+                                return callback(err);
+                        }
+                        if (aborted) return obj._abortClose();
+
+                        var stream = obj.getWritableStream(options);
+
+                        // close when all data has been written, or when the stream has been destroyed early
+                        stream.on('finish', function()
+                        {
+                                obj._abortClose();
+                        });
+                        stream.on('close', function()
+                        {
+                                obj._abortClose();
+                        });
+
+                        callback(null, Number(position), stream); // int8 values are returned as a string by node-postgres
+                });
+        });
+};
+
+/** Open an existing large object, return a stream which writes to it and close the object when done streaming.
+ * By default the stream starts writing at the beginning (overwriting the existing data, but not truncating it).
+ * Only call this within a transaction block.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {Boolean} [options.append=false] Start writing at the end of the large object
+ * @param {Number} [options.offset=0] Start writing at this offset. Can not be combined with `append`.
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.blockSize=2048] Small chunks are combined and written in multiples of this many bytes
+ *        (see LargeObject.getWritableStream())
+ * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+ *        as reported by the progress event
+ * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+ * @param {AbortSignal} [options.signal] Abort opening the large object, or destroy the stream, when this signal is aborted
+ * @param {Number} [options.timeout] Abort if opening the large object takes longer than this many milliseconds,
+ *        or destroy the stream if no data has been written for this many milliseconds
+ * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+ *        which is available as `stream.digest` once all data has been written
+ * @returns {Promise.<Array>} The offset at which the stream starts writing, and a WriteStream
+ */
+LargeObjectManager.prototype.openAndWritableStreamAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.openAndWritableStream(oid, options, callback);
+        }, this, {twoArgs: true});
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~getUploadOffsetCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} offset The current size of the large object
+  */
+/** Report how much of an upload has been stored, so that a client can resume it after a disconnect.
+  * Call this in a new transaction: data written by a transaction which has been rolled back is not counted,
+  * so the result is the size that has been committed (plus anything written by the current transaction).
+  * If the large object does not exist, an ObjectNotFoundError is given.
+  * Requires PostgreSQL 9.3 or higher.
+  * @param {Number} oid
+  * @param {module:pg-large-object/lib/LargeObjectManager~getUploadOffsetCallback} callback
+  */
+LargeObjectManager.prototype.getUploadOffset = function(oid, callback)
+{
+        this.stat(oid, function(err, stat)
+        {
+                if (err) return callback(err);
+
+                if (!stat)
+                {
+                        return callback(new errors.ObjectNotFoundError(oid, 'getUploadOffset'));
+                }
+
+                callback(null, stat.size);
+        });
+};
+
+/** Report how much of an upload has been stored, so that a client can resume it after a disconnect.
+ * Call this in a new transaction: data written by a transaction which has been rolled back is not counted,
+ * so the result is the size that has been committed (plus anything written by the current transaction).
+ * If the large object does not exist, the promise is rejected with an ObjectNotFoundError.
+ * Requires PostgreSQL 9.3 or higher.
+ * @param {Number} oid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stop waiting for the result when this signal is aborted
+ * @param {Number} [options.timeout] Stop waiting for the result if it takes longer than this many milliseconds
+ * @returns {Promise.<Number>} The current size of the large object
+ */
+LargeObjectManager.prototype.getUploadOffsetAsync = function(oid, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.getUploadOffset(oid, abortable.wrapCallback(options, callback));
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~resumeUploadCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {module:pg-large-object/lib/WriteStream} stream
+  */
+/** Continue an upload at the given offset, which the client has usually obtained using getUploadOffset().
+  * If the size of the large object is not equal to `offset` (because the client missed that part of its previous
+  * upload has been committed, for example), an OffsetMismatchError with the actual `size` is given and nothing is
+  * written, so that the client can resume at the right offset. The large object is closed when done streaming.
+  * Only call this within a transaction block, and commit when the stream has finished.
+  * @example man.resumeUpload(oid, Number(req.headers['upload-offset']), function(err, stream) {
+  *   if (err instanceof OffsetMismatchError) { ... respond with err.size ... }
+  *   pipeline(req, stream, ...);
+  * });
+  * @param {Number} oid
+  * @param {Number} offset
+  * @param {Object} [options] The same options as openAndWritableStream(), except for `append` and `offset`
+  * @param {module:pg-large-object/lib/LargeObjectManager~resumeUploadCallback} callback
+  */
+LargeObjectManager.prototype.resumeUpload = function(oid, offset, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (!(offset >= 0))
+        {
+                throw new errors.InvalidArgumentError('offset must not be negative', 'resumeUpload');
+        }
+
+        options = Object.assign({}, options, {append: true, offset: undefined});
+
+        this.openAndWritableStream(oid, options, function(err, position, stream)
+        {
+                if (err) return callback(err);
+
+                if (position !== offset)
+                {
+                        stream.destroy(); // closes the large object
+                        return callback(new errors.OffsetMismatchError(oid, offset, position));
+                }
+
+                callback(null, stream);
+        });
+};
+
+/** Continue an upload at the given offset, which the client has usually obtained using getUploadOffset().
+ * If the size of the large object is not equal to `offset` (because the client missed that part of its previous
+ * upload has been committed, for example), the promise is rejected with an OffsetMismatchError with the actual
+ * `size` and nothing is written, so that the client can resume at the right offset. The large object is closed
+ * when done streaming.
+ * Only call this within a transaction block, and commit when the stream has finished.
+ * @param {Number} oid
+ * @param {Number} offset
+ * @param {Object} [options] The same options as openAndWritableStreamAsync(), except for `append` and `offset`
+ * @returns {Promise.<module:pg-large-object/lib/WriteStream>}
+ */
+LargeObjectManager.prototype.resumeUploadAsync = function(oid, offset, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.resumeUpload(oid, offset, options, callback);
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~importFileCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} oid
+  */
+/** Creates a large object from a local file (similar to the client side `lo_import` of libpq), returning its OID.
+  * If anything goes wrong, the partially written large object is unlinked. If that fails as well, the error of unlinking
+  * is available as the `cleanupError` property of the error that is reported.
+  * Only call this within a transaction block.
+  * @param {String} localPath
+  * @param {Object} [options]
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.oid] The OID to use for the new large object. By default the server picks one.
+  * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+  * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+  *        (requires the `metadata` option of this manager)
+  * @param {AbortSignal} [options.signal] Abort the import when this signal is aborted
+  * @param {Number} [options.timeout] Abort the import if no data has been written for this many milliseconds
+  * @param {module:pg-large-object/lib/LargeObjectManager~importFileCallback} callback
+  */
+LargeObjectManager.prototype.importFile = function(localPath, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (typeof localPath !== 'string')
+        {
+                throw new errors.InvalidArgumentError('localPath must be a string', 'importFile');
+        }
+
+        options = options || {};
+        var man = this;
+
+        man.create({
+                oid: options.oid,
+                filename: options.filename,
+                contentType: options.contentType,
+                meta: options.meta
+        }, function(err, oid)
+        {
+                if (err) return callback(err);
+
+                // remove the partially written large object, and report the original error
+                function fail(err, obj)
+                {
+                        if (obj) obj._abortClose();
+
+                        man.unlink(oid, function(unlinkErr)
+                        {
+                                if (unlinkErr)
+                                {
+                                        err.cleanupError = unlinkErr;
+                                }
+                                callback(err);
+                        });
+                }
+
+                man.open(oid, LargeObjectManager.WRITE, function(err, obj)
+                {
+                        if (err) return fail(err, null);
+
+                        var writeStream = obj.getWritableStream({
+                                bufferSize: options.bufferSize,
+                                signal: options.signal,
+                                timeout: options.timeout
+                        });
+
+                        pipeline(fs.createReadStream(localPath), writeStream, function(err)
+                        {
+                                if (err) return fail(err, obj);
+
+                                obj.close(function(err)
+                                {
+                                        if (err) return fail(err, obj);
+                                        callback(null, oid);
+                                });
+                        });
+                });
+        });
+};
+
+/** Creates a large object from a local file (similar to the client side `lo_import` of libpq), returning its OID.
+ * If anything goes wrong, the partially written large object is unlinked. If that fails as well, the error of unlinking
+ * is available as the `cleanupError` property of the error that the promise is rejected with.
+ * Only call this within a transaction block.
+ * @param {String} localPath
+ * @param {Object} [options]
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.oid] The OID to use for the new large object. By default the server picks one.
+ * @param {String} [options.filename] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {String} [options.contentType] Stored in the metadata table (requires the `metadata` option of this manager)
+ * @param {Object} [options.meta] Custom attributes, stored as `jsonb` in the metadata table
+ *        (requires the `metadata` option of this manager)
+ * @param {AbortSignal} [options.signal] Abort the import when this signal is aborted
+ * @param {Number} [options.timeout] Abort the import if no data has been written for this many milliseconds
+ * @returns {Promise.<number>} oid
+ */
+LargeObjectManager.prototype.importFileAsync = function(localPath, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.importFile(localPath, options, callback);
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~exportFileCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {Number} bytes The amount of bytes written to the file
+  */
+/** Writes the contents of a large object to a local file (similar to the client side `lo_export` of libpq).
+  * An existing file is overwritten. If anything goes wrong after the file has been created, the partial
+  * file is deleted.
+  * Only call this within a transaction block.
+  * @param {Number} oid
+  * @param {String} localPath
+  * @param {Object} [options]
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip
+  * @param {AbortSignal} [options.signal] Abort the export when this signal is aborted
+  * @param {Number} [options.timeout] Abort the export if no data has been requested for this many milliseconds
+  * @param {module:pg-large-object/lib/LargeObjectManager~exportFileCallback} callback
+  */
+LargeObjectManager.prototype.exportFile = function(oid, localPath, options, callback)
+{
+        if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (!oid || typeof localPath !== 'string')
+        {
+                throw new errors.InvalidArgumentError('oid and localPath are required', 'exportFile');
+        }
+
+        options = options || {};
+
+        this.openAndReadableStream(oid, {
+                bufferSize: options.bufferSize,
+                readAhead: options.readAhead,
+                signal: options.signal,
+                timeout: options.timeout
+        }, function(err, size, readStream)
+        {
+                if (err) return callback(err);
+
+                pipeline(readStream, fs.createWriteStream(localPath), function(err)
+                {
+                        if (err)
+                        {
+                                fs.unlink(localPath, function()
+                                {
+                                        callback(err);
+                                });
+                                return;
+                        }
+
+                        callback(null, readStream.bytesRead);
+                });
+        });
+};
+
+/** Writes the contents of a large object to a local file (similar to the client side `lo_export` of libpq).
+ * An existing file is overwritten. If anything goes wrong after the file has been created, the partial
+ * file is deleted.
+ * Only call this within a transaction block.
+ * @param {Number} oid
+ * @param {String} localPath
+ * @param {Object} [options]
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip
+ * @param {AbortSignal} [options.signal] Abort the export when this signal is aborted
+ * @param {Number} [options.timeout] Abort the export if no data has been requested for this many milliseconds
+ * @returns {Promise.<number>} The amount of bytes written to the file
+ */
+LargeObjectManager.prototype.exportFileAsync = function(oid, localPath, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.exportFile(oid, localPath, options, callback);
+        }, this);
+};
+
+/** @callback module:pg-large-object/lib/LargeObjectManager~checksumCallback
+  * @param {?Error} error If set, an error occurred.
+  * @param {String} digest The digest of the contents of the large object (hex)
+  */
+/** Calculates a digest of the contents of a large object. The large object is streamed to the client
+  * and hashed there, so any algorithm supported by `crypto.createHash` can be used.
+  * Only call this within a transaction block.
+  * @example man.checksum(oid, 'sha256', function(err, digest) { ... })
+  * @param {Number} oid
+  * @param {String} [algorithm=sha256]
+  * @param {Object} [options]
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip
+  * @param {AbortSignal} [options.signal] Abort when this signal is aborted
+  * @param {Number} [options.timeout] Abort if no data has been requested for this many milliseconds
+  * @param {module:pg-large-object/lib/LargeObjectManager~checksumCallback} callback
+  */
+LargeObjectManager.prototype.checksum = function(oid, algorithm, options, callback)
+{
+        if (typeof algorithm === 'function')
+        {
+                callback = algorithm;
+                algorithm = undefined;
+                options = undefined;
+        }
+        else if (typeof options === 'function')
+        {
+                callback = options;
+                options = undefined;
+        }
+
+        if (!oid)
+        {
+                throw new errors.InvalidArgumentError('oid is required', 'checksum');
+        }
+
+        ReadStream.checkOptions({hash: algorithm}, 'checksum');
+
+        options = options || {};
+
+        this.openAndReadableStream(oid, {
+                bufferSize: options.bufferSize,
+                readAhead: options.readAhead,
+                signal: options.signal,
+                timeout: options.timeout,
+                hash: algorithm || 'sha256'
+        }, function(err, size, stream)
+        {
+                if (err) return callback(err);
+
+                stream.on('error', callback);
+                stream.on('end', function()
+                {
+                        callback(null, stream.digest);
+                });
+                stream.resume();
+        });
+};
+
+/** Calculates a digest of the contents of a large object. The large object is streamed to the client
+ * and hashed there, so any algorithm supported by `crypto.createHash` can be used.
+ * Only call this within a transaction block.
+ * @param {Number} oid
+ * @param {String} [algorithm=sha256]
+ * @param {Object} [options]
+ * @param {Number} [options.bufferSize=16384]
+ * @param {Number} [options.readAhead=1] Fetch up to this many chunks of `bufferSize` bytes per round trip
+ * @param {AbortSignal} [options.signal] Abort when this signal is aborted
+ * @param {Number} [options.timeout] Abort if no data has been requested for this many milliseconds
+ * @returns {Promise.<String>} The digest of the contents of the large object (hex)
+ */
+LargeObjectManager.prototype.checksumAsync = function(oid, algorithm, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                this.checksum(oid, algorithm, options, callback);
+        }, this);
 };
 
 module.exports = LargeObjectManager;
\ No newline at end of file
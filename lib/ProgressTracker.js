@@ -0,0 +1,54 @@
+"use strict";
+
+/** Keeps track of the amount of bytes transferred by a stream and emits throttled
+  * `progress` events on it.
+  * @constructor
+  * @private
+  * @param {EventEmitter} emitter
+  * @param {?Number} total The total amount of bytes that will be transferred, if known
+  * @param {Number} [interval=250] The minimum amount of milliseconds between progress events
+  */
+function ProgressTracker(emitter, total, interval)
+{
+        this._emitter = emitter;
+        this._interval = interval === undefined ? 250 : interval;
+        this._start = Date.now();
+        this._lastEmit = this._start;
+        this._lastEmitBytes = 0;
+        this.bytes = 0;
+        this.total = total === undefined ? null : total;
+}
+
+ProgressTracker.prototype.add = function(bytes)
+{
+        this.bytes += bytes;
+
+        var now = Date.now();
+        if (now - this._lastEmit >= this._interval)
+        {
+                this._emit(now);
+        }
+};
+
+/** Emit a final progress event, unless it would be a duplicate of the previous one */
+ProgressTracker.prototype.end = function()
+{
+        if (this.bytes !== this._lastEmitBytes)
+        {
+                this._emit(Date.now());
+        }
+};
+
+ProgressTracker.prototype._emit = function(now)
+{
+        var seconds = (now - this._start) / 1000;
+        this._lastEmit = now;
+        this._lastEmitBytes = this.bytes;
+        this._emitter.emit('progress', {
+                bytes: this.bytes,
+                total: this.total,
+                rate: seconds > 0 ? Math.round(this.bytes / seconds) : 0
+        });
+};
+
+module.exports = ProgressTracker;
@@ -1,46 +1,211 @@
 "use strict";
 var stream = require('stream');
+var crypto = require('crypto');
+var ProgressTracker = require('./ProgressTracker');
+var abortable = require('./abortable');
+var errors = require('./errors');
 
-
+function checkHashAlgorithm(algorithm, operation)
+{
+        try
+        {
+                crypto.createHash(algorithm);
+        }
+        catch (err)
+        {
+                throw new errors.InvalidArgumentError('Unknown hash algorithm ' + algorithm, operation);
+        }
+}
 
 /** 
   * @constructor
   * @augments stream.Readable
   * @exports pg-large-object/lib/ReadStream
+  * @param {module:pg-large-object/lib/LargeObject|module:pg-large-object/lib/EncryptedLargeObject} largeObject
+  * @param {Number|Object} [options] The buffer size, or an object with options
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.length] Stop streaming after this many bytes have been read.
+  *        By default the stream ends when the end of the large object has been reached.
+  * @param {Number} [options.total] The total amount of bytes that will be read, as reported
+  *        by the progress event. Defaults to `length`.
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Destroy the stream and close the large object when this signal is aborted
+  * @param {Number} [options.timeout] Destroy the stream and close the large object if no data has been
+  *        requested for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+  *        which is available as `digest` once the end has been reached
+  * @param {String} [options.expectedHash] The expected digest (hex) of the data. If it does not match once
+  *        the end has been reached, the stream is destroyed with a ChecksumMismatchError instead of ending.
+  *        Implies `hash: 'sha256'` unless another algorithm is given.
+  * @param {Number} [options.readAhead=1] Fetch up to this many chunks per round trip, if the large object
+  *        supports readChunks(). Each chunk is as large as the amount of data requested by the stream.
   */
-function ReadStream(largeObject, bufferSize)
+function ReadStream(largeObject, options)
 {
+        if (typeof options !== 'object' || options === null)
+        {
+                options = {bufferSize: options};
+        }
+
+        ReadStream.checkOptions(options, 'getReadableStream');
+
         stream.Readable.call(this, {
-                'highWaterMark': bufferSize || 16384,
+                'highWaterMark': options.bufferSize || 16384,
                 'encoding': null,
                 'objectMode': false
         });
         this._largeObject = largeObject;
+        this._remaining = options.length === undefined ? Infinity : options.length;
+        this._readAhead = options.readAhead > 1 && largeObject.readChunks ? Math.floor(options.readAhead) : 1;
+        this._hash = options.hash || options.expectedHash
+                ? crypto.createHash(options.hash || 'sha256')
+                : null;
+        this._expectedHash = options.expectedHash ? options.expectedHash.toLowerCase() : null;
+        this.digest = null;
+        this._progress = new ProgressTracker(
+                this,
+                options.total === undefined ? options.length : options.total,
+                options.progressInterval
+        );
+        this._watchdog = abortable.watchStream(options, function(error)
+        {
+                this.destroy(error);
+                largeObject._abortClose();
+        }.bind(this));
 }
 
 ReadStream.prototype = Object.create(stream.Readable.prototype);
 
+/** Validate the options, so that an unknown hash algorithm is reported before anything is opened.
+  * @private
+  * @param {Number|Object} [options] See the constructor
+  * @param {String} operation The name of the method that was called
+  */
+ReadStream.checkOptions = function(options, operation)
+{
+        if (options && typeof options === 'object' && (options.hash || options.expectedHash))
+        {
+                checkHashAlgorithm(options.hash || 'sha256', operation);
+        }
+};
+
+/** Emitted periodically while data is being read, and once more when the end has been reached.
+  * @event module:pg-large-object/lib/ReadStream#progress
+  * @type {Object}
+  * @property {Number} bytes The amount of bytes read so far
+  * @property {?Number} total The total amount of bytes that will be read, or `null` if not known
+  * @property {Number} rate The average amount of bytes read per second
+  */
+
+/** The digest (hex) of all data that has been read, if the `hash` option has been given.
+  * This is set before the `end` event is emitted.
+  * @member {?String} digest
+  * @memberof module:pg-large-object/lib/ReadStream
+  * @instance
+  */
+
+/** The amount of bytes read from the large object so far.
+  * @member {Number} bytesRead
+  * @memberof module:pg-large-object/lib/ReadStream
+  * @instance
+  */
+Object.defineProperty(ReadStream.prototype, 'bytesRead', {
+        get: function()
+        {
+                return this._progress.bytes;
+        }
+});
+
 ReadStream.prototype._read = function(length)
 {
         if (length <= 0)
         {
-                throw "Illegal Argument";
+                this.destroy(new errors.InvalidArgumentError('length must be a positive number', 'read'));
+                return;
         }
-        
-        this._largeObject.read(length, function(error, data)
+
+        if (this._remaining <= 0)
+        {
+                this._end();
+                return;
+        }
+
+        this._watchdog.touch();
+
+        length = Math.min(length, this._remaining);
+        var count = Math.min(this._readAhead, Math.ceil(this._remaining / length));
+
+        var done = function(error, chunks)
         {
                 if (error)
                 {
-                        this.emit('error', error);
+                        // destroying (instead of only emitting the error) also emits 'close', which closes the large object
+                        this.destroy(error);
                         return;
                 }
-                
-                this.push(data);
-                if (data.length < length)
+
+                this._watchdog.touch();
+
+                for (var i = 0; i < chunks.length; ++i)
                 {
-                        this.push(null); // the large object has no more data left
+                        // the last chunk of a read ahead may extend beyond the requested range
+                        var data = chunks[i].length > this._remaining ? chunks[i].slice(0, this._remaining) : chunks[i];
+
+                        this._remaining -= data.length;
+                        this._progress.add(data.length);
+                        if (this._hash)
+                        {
+                                this._hash.update(data);
+                        }
+                        this.push(data);
+                        if (data.length < length || this._remaining <= 0)
+                        {
+                                this._end(); // the large object (or the requested range) has no more data left
+                                return;
+                        }
                 }
-        }.bind(this));
+        }.bind(this);
+
+        if (count > 1)
+        {
+                this._largeObject.readChunks(length, count, done);
+                return;
+        }
+
+        this._largeObject.read(length, function(error, data)
+        {
+                done(error, error ? null : [data]);
+        });
+};
+
+ReadStream.prototype._end = function()
+{
+        this._watchdog.clear();
+
+        if (this._hash)
+        {
+                this.digest = this._hash.digest('hex');
+                this._hash = null;
+
+                if (this._expectedHash && this.digest !== this._expectedHash)
+                {
+                        this.destroy(new errors.ChecksumMismatchError(
+                                this._largeObject.oid,
+                                this._expectedHash,
+                                this.digest
+                        ));
+                        return;
+                }
+        }
+
+        this._progress.end();
+        this.push(null);
+};
+
+ReadStream.prototype._destroy = function(error, callback)
+{
+        this._watchdog.clear();
+        callback(error);
 };
 
-module.exports = ReadStream;
\ No newline at end of file
+module.exports = ReadStream;
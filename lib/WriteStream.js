@@ -1,34 +1,222 @@
 "use strict";
 var stream = require('stream');
+var crypto = require('crypto');
+var ProgressTracker = require('./ProgressTracker');
+var abortable = require('./abortable');
+var errors = require('./errors');
 
-
+function checkHashAlgorithm(algorithm, operation)
+{
+        try
+        {
+                crypto.createHash(algorithm);
+        }
+        catch (err)
+        {
+                throw new errors.InvalidArgumentError('Unknown hash algorithm ' + algorithm, operation);
+        }
+}
 
 /** 
   * @constructor
   * @augments stream.Writable
   * @exports pg-large-object/lib/WriteStream
+  * @param {module:pg-large-object/lib/LargeObject|module:pg-large-object/lib/EncryptedLargeObject} largeObject
+  * @param {Number|Object} [options] The buffer size, or an object with options
+  * @param {Number} [options.bufferSize=16384]
+  * @param {Number} [options.total] The total amount of bytes that will be written (if known),
+  *        as reported by the progress event
+  * @param {Number} [options.progressInterval=250] The minimum amount of milliseconds between progress events
+  * @param {AbortSignal} [options.signal] Destroy the stream and close the large object when this signal is aborted
+  * @param {Number} [options.timeout] Destroy the stream and close the large object if no data has been
+  *        written for this many milliseconds
+  * @param {String} [options.hash] Calculate a digest of the data using this algorithm (e.g. `sha256`),
+  *        which is available as `digest` once all data has been written
+  * @param {Number} [options.blockSize=2048] Small chunks are combined, and data is written in multiples of
+  *        this many bytes (the remainder is written when the stream ends). The default matches the page size
+  *        of large objects (LOBLKSIZE). Set to 1 to write every chunk as-is.
   */
-function WriteStream(largeObject, bufferSize)
+function WriteStream(largeObject, options)
 {
+        if (typeof options !== 'object' || options === null)
+        {
+                options = {bufferSize: options};
+        }
+
+        WriteStream.checkOptions(options, 'getWritableStream');
+
         stream.Writable.call(this, {
-                'highWaterMark': bufferSize || 16384,
+                'highWaterMark': options.bufferSize || 16384,
                 'decodeStrings': true,
                 'objectMode': false
         });
         this._largeObject = largeObject;
+        this._hash = options.hash ? crypto.createHash(options.hash) : null;
+        this._blockSize = options.blockSize || 2048;
+        this._pending = [];
+        this._pendingLength = 0;
+        this.digest = null;
+        this._progress = new ProgressTracker(this, options.total, options.progressInterval);
+        this._watchdog = abortable.watchStream(options, function(error)
+        {
+                this.destroy(error);
+                largeObject._abortClose();
+        }.bind(this));
+
+        this.once('finish', function()
+        {
+                this._watchdog.clear();
+                this._progress.end();
+        });
 }
 
 WriteStream.prototype = Object.create(stream.Writable.prototype);
 
+/** Validate the options, so that an unknown hash algorithm is reported before anything is opened.
+  * @private
+  * @param {Number|Object} [options] See the constructor
+  * @param {String} operation The name of the method that was called
+  */
+WriteStream.checkOptions = function(options, operation)
+{
+        if (options && typeof options === 'object' && options.hash)
+        {
+                checkHashAlgorithm(options.hash, operation);
+        }
+};
+
+/** Emitted periodically while data is being written, and once more when all data has been written.
+  * @event module:pg-large-object/lib/WriteStream#progress
+  * @type {Object}
+  * @property {Number} bytes The amount of bytes written so far
+  * @property {?Number} total The total amount of bytes that will be written, or `null` if not known
+  * @property {Number} rate The average amount of bytes written per second
+  */
+
+/** The digest (hex) of all data that has been written, if the `hash` option has been given.
+  * This is set before the `finish` event is emitted.
+  * @member {?String} digest
+  * @memberof module:pg-large-object/lib/WriteStream
+  * @instance
+  */
+
+/** The amount of bytes written to the large object so far.
+  * @member {Number} bytesWritten
+  * @memberof module:pg-large-object/lib/WriteStream
+  * @instance
+  */
+Object.defineProperty(WriteStream.prototype, 'bytesWritten', {
+        get: function()
+        {
+                return this._progress.bytes;
+        }
+});
+
+// Write the data to the large object and account for it
+WriteStream.prototype._store = function(data, callback)
+{
+        this._largeObject.write(data, function(error)
+        {
+                this._watchdog.touch();
+                if (!error)
+                {
+                        this._progress.add(data.length);
+                        if (this._hash)
+                        {
+                                this._hash.update(data);
+                        }
+                }
+
+                callback(error);
+        }.bind(this));
+};
+
 WriteStream.prototype._write = function(chunk, encoding, callback)
 {
-        if (!Buffer.isBuffer(chunk))
+        this._writev([{chunk: chunk, encoding: encoding}], callback);
+};
+
+WriteStream.prototype._writev = function(chunks, callback)
+{
+        var total = this._pendingLength;
+
+        for (var i = 0; i < chunks.length; ++i)
+        {
+                if (!Buffer.isBuffer(chunks[i].chunk))
+                {
+                        callback(new errors.InvalidArgumentError('Only buffers can be written', 'write'));
+                        return;
+                }
+                total += chunks[i].chunk.length;
+        }
+
+        this._watchdog.touch();
+
+        var length = total - total % this._blockSize;
+
+        if (!length)
+        {
+                // not enough for a block yet. Keep a copy, the caller may reuse its buffers after the callback
+                chunks.forEach(function(chunk)
+                {
+                        this._pending.push(Buffer.from(chunk.chunk));
+                }, this);
+                this._pendingLength = total;
+                callback(null);
+                return;
+        }
+
+        var list = this._pending.concat(chunks.map(function(chunk)
+        {
+                return chunk.chunk;
+        }));
+        var data = list.length === 1 ? list[0] : Buffer.concat(list, total);
+
+        this._pending = length < total ? [Buffer.from(data.slice(length))] : [];
+        this._pendingLength = total - length;
+
+        this._store(data.slice(0, length), callback);
+};
+
+WriteStream.prototype._final = function(callback)
+{
+        var finish = function(error)
         {
-                throw "Illegal Argument";
+                if (error) return callback(error);
+
+                if (this._hash)
+                {
+                        this.digest = this._hash.digest('hex');
+                        this._hash = null;
+                }
+
+                if (this._largeObject.flush)
+                {
+                        // an EncryptedLargeObject buffers the last segment
+                        this._largeObject.flush(callback);
+                        return;
+                }
+
+                callback();
+        }.bind(this);
+
+        if (!this._pendingLength)
+        {
+                return finish(null);
         }
-        
-        // callback(error)
-        this._largeObject.write(chunk, callback);
+
+        var data = Buffer.concat(this._pending, this._pendingLength);
+        this._pending = [];
+        this._pendingLength = 0;
+        this._store(data, finish);
+};
+
+WriteStream.prototype._destroy = function(error, callback)
+{
+        this._pending = [];
+        this._pendingLength = 0;
+        this._watchdog.clear();
+        callback(error);
 };
 
 module.exports = WriteStream;
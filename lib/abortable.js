@@ -0,0 +1,175 @@
+"use strict";
+var AbortError = require('./errors').AbortError;
+
+function timeoutError(timeout)
+{
+        return new AbortError('The operation timed out after ' + timeout + ' ms');
+}
+
+/** Wrap a node style callback so that it is called with an AbortError as soon as
+  * `options.signal` is aborted or `options.timeout` expires, instead of waiting
+  * for the operation to complete.
+  * @private
+  * @param {Object} [options]
+  * @param {AbortSignal} [options.signal]
+  * @param {Number} [options.timeout] In milliseconds
+  * @param {function} callback
+  * @param {Object} [hooks]
+  * @param {function} [hooks.onAbort] Called with the AbortError after the callback has been called with it
+  * @param {function} [hooks.cleanup] Called with the results of an operation that has completed
+  *        successfully after it has been aborted
+  * @returns {function} The wrapped callback
+  */
+function wrapCallback(options, callback, hooks)
+{
+        var signal = options && options.signal;
+        var timeout = options && options.timeout;
+        var settled = false;
+        var timer = null;
+        hooks = hooks || {};
+
+        if (!signal && !timeout)
+        {
+                return callback;
+        }
+
+        function settle()
+        {
+                settled = true;
+                clearTimeout(timer);
+                if (signal)
+                {
+                        signal.removeEventListener('abort', onSignalAbort);
+                }
+        }
+
+        function abort(error)
+        {
+                if (settled)
+                {
+                        return;
+                }
+
+                settle();
+                callback(error);
+                if (hooks.onAbort)
+                {
+                        hooks.onAbort(error);
+                }
+        }
+
+        function onSignalAbort()
+        {
+                abort(new AbortError());
+        }
+
+        if (signal)
+        {
+                if (signal.aborted)
+                {
+                        process.nextTick(onSignalAbort);
+                }
+                else
+                {
+                        signal.addEventListener('abort', onSignalAbort);
+                }
+        }
+
+        if (timeout)
+        {
+                timer = setTimeout(function()
+                {
+                        abort(timeoutError(timeout));
+                }, timeout);
+        }
+
+        return function(error, arg1, arg2, arg3)
+        {
+                if (settled)
+                {
+                        if (!error && hooks.cleanup)
+                        {
+                                hooks.cleanup(arg1, arg2, arg3);
+                        }
+                        return;
+                }
+
+                settle();
+                callback(error, arg1, arg2, arg3);
+        };
+}
+
+/** Call `onAbort` with an AbortError when `options.signal` is aborted, or when
+  * the stream has been idle for longer than `options.timeout`.
+  * @private
+  * @param {Object} [options]
+  * @param {AbortSignal} [options.signal]
+  * @param {Number} [options.timeout] In milliseconds
+  * @param {function} onAbort
+  * @returns {{touch: function, clear: function}} Call `touch()` whenever the stream is active
+  *          and `clear()` once it has ended.
+  */
+function watchStream(options, onAbort)
+{
+        var signal = options && options.signal;
+        var timeout = options && options.timeout;
+        var timer = null;
+        var cleared = false;
+
+        function clear()
+        {
+                cleared = true;
+                clearTimeout(timer);
+                if (signal)
+                {
+                        signal.removeEventListener('abort', onSignalAbort);
+                }
+        }
+
+        function abort(error)
+        {
+                if (cleared)
+                {
+                        return;
+                }
+
+                clear();
+                onAbort(error);
+        }
+
+        function onSignalAbort()
+        {
+                abort(new AbortError());
+        }
+
+        function touch()
+        {
+                if (timeout && !cleared)
+                {
+                        clearTimeout(timer);
+                        timer = setTimeout(function()
+                        {
+                                abort(timeoutError(timeout));
+                        }, timeout);
+                }
+        }
+
+        if (signal)
+        {
+                if (signal.aborted)
+                {
+                        process.nextTick(onSignalAbort);
+                }
+                else
+                {
+                        signal.addEventListener('abort', onSignalAbort);
+                }
+        }
+
+        touch();
+
+        return {touch: touch, clear: clear};
+}
+
+exports.wrapCallback = wrapCallback;
+exports.watchStream = watchStream;
@@ -0,0 +1,123 @@
+"use strict";
+/** @module pg-large-object/lib/acl
+  * @private
+  */
+
+var errors = require('./errors');
+
+var PRIVILEGES = {
+        r: 'SELECT',
+        w: 'UPDATE',
+        a: 'INSERT',
+        d: 'DELETE',
+        D: 'TRUNCATE',
+        x: 'REFERENCES',
+        t: 'TRIGGER',
+        X: 'EXECUTE',
+        U: 'USAGE',
+        C: 'CREATE',
+        c: 'CONNECT',
+        T: 'TEMPORARY',
+        s: 'SET',
+        A: 'ALTER SYSTEM',
+        m: 'MAINTAIN'
+};
+
+/** @typedef {Object} module:pg-large-object/lib/acl~Privilege
+  * @property {String} grantee The role which has been granted the privileges, `PUBLIC` for all roles
+  * @property {String} grantor The role which has granted the privileges
+  * @property {Array.<String>} privileges For example `['SELECT', 'UPDATE']`
+  * @property {Array.<String>} grantable The privileges which the grantee may grant to others
+  */
+
+// Read a role name as written by aclitemout: either plain (up to the terminator or the end
+// of the text), or between double quotes
+function readName(text, pos, terminator)
+{
+        var name = '';
+
+        if (text[pos] !== '"')
+        {
+                var end = terminator ? text.indexOf(terminator, pos) : -1;
+                if (end < 0)
+                {
+                        end = text.length;
+                }
+                return {name: text.slice(pos, end), pos: end};
+        }
+
+        for (++pos; pos < text.length; ++pos)
+        {
+                if (text[pos] === '"')
+                {
+                        if (text[pos + 1] !== '"')
+                        {
+                                return {name: name, pos: pos + 1};
+                        }
+                        ++pos; // an escaped quote
+                }
+                name += text[pos];
+        }
+
+        throw new errors.InvalidArgumentError('Malformed aclitem: ' + text);
+}
+
+/** Parse a single `aclitem`, for example `joe=rw/postgres`.
+  * @param {String} text
+  * @returns {module:pg-large-object/lib/acl~Privilege}
+  */
+function parseAclItem(text)
+{
+        var grantee = readName(text, 0, '=');
+        if (text[grantee.pos] !== '=')
+        {
+                throw new errors.InvalidArgumentError('Malformed aclitem: ' + text);
+        }
+
+        var pos = grantee.pos + 1;
+        var privileges = [];
+        var grantable = [];
+
+        for (; pos < text.length && text[pos] !== '/'; ++pos)
+        {
+                var privilege = PRIVILEGES[text[pos]];
+                if (!privilege)
+                {
+                        throw new errors.InvalidArgumentError('Malformed aclitem: ' + text);
+                }
+
+                privileges.push(privilege);
+
+                if (text[pos + 1] === '*')
+                {
+                        grantable.push(privilege);
+                        ++pos;
+                }
+        }
+
+        if (text[pos] !== '/')
+        {
+                throw new errors.InvalidArgumentError('Malformed aclitem: ' + text);
+        }
+
+        var grantor = readName(text, pos + 1, null);
+
+        return {
+                grantee: grantee.name || 'PUBLIC', // an empty grantee means PUBLIC
+                grantor: grantor.name,
+                privileges: privileges,
+                grantable: grantable
+        };
+}
+
+/** Parse an access control list, such as the `lomacl` column of `pg_largeobject_metadata`.
+  * @param {Array.<String>} items
+  * @returns {Array.<module:pg-large-object/lib/acl~Privilege>}
+  */
+function parseAcl(items)
+{
+        return items.map(parseAclItem);
+}
+
+exports.parseAclItem = parseAclItem;
+exports.parseAcl = parseAcl;
@@ -0,0 +1,231 @@
+"use strict";
+/** @module pg-large-object/lib/compression
+  * @private
+  */
+
+var stream = require('stream');
+var zlib = require('zlib');
+var LargeObject = require('./LargeObject');
+var WriteStream = require('./WriteStream');
+var errors = require('./errors');
+
+// Compressed large objects start with a header:
+//   bytes 0-3   magic "PGLZ"
+//   byte  4     header version (1)
+//   byte  5     format (see FORMATS)
+//   bytes 6-7   reserved (0)
+//   bytes 8-15  the uncompressed (logical) size as an unsigned big endian integer,
+//               all bits set if it is not known (yet)
+var MAGIC = Buffer.from('PGLZ', 'ascii');
+var VERSION = 1;
+var SIZE_OFFSET = 8;
+var UNKNOWN_SIZE = 0xFFFFFFFF;
+
+/** The size of the header in bytes
+  * @constant {Number}
+  */
+var HEADER_SIZE = 16;
+
+var FORMATS = ['gzip', 'deflate', 'brotli'];
+
+function formatCode(format)
+{
+        var code = FORMATS.indexOf(format) + 1;
+        if (!code)
+        {
+                throw new errors.InvalidArgumentError(
+                        'Unknown compression format ' + format + ', expected gzip, deflate or brotli',
+                        'createAndWritableStream'
+                );
+        }
+        return code;
+}
+
+function encodeSize(size)
+{
+        var buffer = Buffer.alloc(8);
+        if (size === null || size === undefined)
+        {
+                buffer.writeUInt32BE(UNKNOWN_SIZE, 0);
+                buffer.writeUInt32BE(UNKNOWN_SIZE, 4);
+        }
+        else
+        {
+                buffer.writeUInt32BE(Math.floor(size / 0x100000000), 0);
+                buffer.writeUInt32BE(size % 0x100000000, 4);
+        }
+        return buffer;
+}
+
+/** @param {String} format One of gzip, deflate or brotli
+  * @param {?Number} logicalSize
+  * @returns {Buffer}
+  */
+function createHeader(format, logicalSize)
+{
+        var header = Buffer.alloc(HEADER_SIZE);
+        MAGIC.copy(header, 0);
+        header[4] = VERSION;
+        header[5] = formatCode(format);
+        encodeSize(logicalSize).copy(header, SIZE_OFFSET);
+        return header;
+}
+
+/** @param {Buffer} buffer
+  * @returns {?{format: String, logicalSize: ?Number}} `null` if the buffer does not start with a header
+  */
+function parseHeader(buffer)
+{
+        if (buffer.length < HEADER_SIZE ||
+                !buffer.slice(0, MAGIC.length).equals(MAGIC) ||
+                buffer[4] !== VERSION ||
+                !FORMATS[buffer[5] - 1])
+        {
+                return null;
+        }
+
+        var high = buffer.readUInt32BE(SIZE_OFFSET);
+        var low = buffer.readUInt32BE(SIZE_OFFSET + 4);
+
+        return {
+                format: FORMATS[buffer[5] - 1],
+                logicalSize: high === UNKNOWN_SIZE && low === UNKNOWN_SIZE ? null : high * 0x100000000 + low
+        };
+}
+
+function createCompressor(format)
+{
+        switch (format)
+        {
+                case 'gzip': return zlib.createGzip();
+                case 'deflate': return zlib.createDeflate();
+                case 'brotli': return zlib.createBrotliCompress();
+        }
+}
+
+function createDecompressor(format)
+{
+        switch (format)
+        {
+                case 'gzip': return zlib.createGunzip();
+                case 'deflate': return zlib.createInflate();
+                case 'brotli': return zlib.createBrotliDecompress();
+        }
+}
+
+/** A stream which compresses the data written to it and writes the result to a large object,
+  * after the header. When all data has been written, the logical size in the header is updated.
+  * The large object must be positioned right after the header.
+  * @constructor
+  * @augments stream.Writable
+  * @param {module:pg-large-object/lib/LargeObject} largeObject
+  * @param {String} format One of gzip, deflate or brotli
+  * @param {Object} [options] Passed on to the underlying WriteStream
+  */
+function CompressStream(largeObject, format, options)
+{
+        options = options || {};
+
+        stream.Writable.call(this, {
+                'highWaterMark': options.bufferSize || 16384,
+                'decodeStrings': true,
+                'objectMode': false
+        });
+        this._largeObject = largeObject;
+        this._compressor = createCompressor(format);
+        this._output = new WriteStream(largeObject, options);
+        this.compression = format;
+        this.logicalSize = 0;
+        this.digest = null;
+
+        this._output.on('progress', this.emit.bind(this, 'progress'));
+
+        stream.pipeline(this._compressor, this._output, function(err)
+        {
+                if (err)
+                {
+                        this.destroy(err);
+                }
+        }.bind(this));
+}
+
+CompressStream.prototype = Object.create(stream.Writable.prototype);
+
+/** The amount of bytes stored in the large object so far (compressed, excluding the header).
+  * @member {Number} bytesWritten
+  */
+Object.defineProperty(CompressStream.prototype, 'bytesWritten', {
+        get: function()
+        {
+                return this._output.bytesWritten;
+        }
+});
+
+CompressStream.prototype._write = function(chunk, encoding, callback)
+{
+        this.logicalSize += chunk.length;
+        this._compressor.write(chunk, callback);
+};
+
+CompressStream.prototype._final = function(callback)
+{
+        var largeObject = this._largeObject;
+        var logicalSize = this.logicalSize;
+
+        this._output.once('finish', function()
+        {
+                this.digest = this._output.digest;
+
+                largeObject.seek(SIZE_OFFSET, LargeObject.SEEK_SET, function(err)
+                {
+                        if (err) return callback(err);
+
+                        largeObject.write(encodeSize(logicalSize), function(err)
+                        {
+                                if (err || !largeObject.flush) return callback(err);
+
+                                largeObject.flush(callback);
+                        });
+                });
+        }.bind(this));
+
+        this._compressor.end();
+};
+
+CompressStream.prototype._destroy = function(error, callback)
+{
+        this._compressor.destroy();
+        this._output.destroy();
+        callback(error);
+};
+
+/** Decompress the data of a stream positioned right after the header.
+  * @param {module:pg-large-object/lib/ReadStream} input
+  * @param {String} format One of gzip, deflate or brotli
+  * @returns {stream.Readable}
+  */
+function decompressStream(input, format)
+{
+        var output = createDecompressor(format);
+        output.compression = format;
+        output.digest = null;
+
+        input.on('progress', output.emit.bind(output, 'progress'));
+        input.on('end', function()
+        {
+                output.digest = input.digest;
+        });
+
+        stream.pipeline(input, output, function() {
+                // errors are emitted by the output stream
+        });
+
+        return output;
+}
+
+exports.HEADER_SIZE = HEADER_SIZE;
+exports.FORMATS = FORMATS;
+exports.createHeader = createHeader;
+exports.parseHeader = parseHeader;
+exports.CompressStream = CompressStream;
+exports.decompressStream = decompressStream;
@@ -0,0 +1,237 @@
+"use strict";
+/** @module pg-large-object/lib/errors */
+
+function inherits(constructor, parent)
+{
+        constructor.prototype = Object.create(parent.prototype);
+        constructor.prototype.constructor = constructor;
+}
+
+/** The base class of all errors given or thrown by this library.
+  * Errors reported by the database are wrapped in one of the subclasses if their SQLSTATE is recognized,
+  * otherwise they are passed on as-is.
+  * @constructor
+  * @augments Error
+  * @param {String} message
+  * @param {Object} [details]
+  * @param {Number} [details.oid] The large object the operation was performed on
+  * @param {String} [details.operation] The name of the method that was called, e.g. `read`
+  * @param {Error} [details.cause] The error reported by the database (or node-postgres / pg-promise)
+  */
+function LargeObjectError(message, details)
+{
+        details = details || {};
+
+        Error.call(this);
+        Error.captureStackTrace(this, this.constructor);
+        this.name = this.constructor.name;
+        this.message = message;
+        this.oid = details.oid;
+        this.operation = details.operation;
+        this.cause = details.cause;
+        this.code = details.cause && details.cause.code;
+}
+
+inherits(LargeObjectError, Error);
+
+/** The operation was aborted using an AbortSignal, or because it took longer than the given timeout.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {String} [message]
+  */
+function AbortError(message)
+{
+        LargeObjectError.call(this, message || 'The operation was aborted');
+        this.code = 'ABORT_ERR';
+}
+
+inherits(AbortError, LargeObjectError);
+
+/** A method has been called with an invalid argument.
+  * These errors are thrown synchronously.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {String} message
+  * @param {String} [operation] The name of the method that was called
+  */
+function InvalidArgumentError(message, operation)
+{
+        LargeObjectError.call(this, message, {operation: operation});
+}
+
+inherits(InvalidArgumentError, LargeObjectError);
+
+/** The large object does not exist (SQLSTATE 42704, undefined_object).
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {String} [operation]
+  * @param {Error} [cause] The error reported by the database
+  */
+function ObjectNotFoundError(oid, operation, cause)
+{
+        LargeObjectError.call(this, 'Large object ' + oid + ' does not exist',
+                {oid: oid, operation: operation, cause: cause});
+}
+
+inherits(ObjectNotFoundError, LargeObjectError);
+
+/** A large object with the requested OID already exists (SQLSTATE 42710, duplicate_object, or 23505,
+  * unique_violation, which `lo_create()` reports on current versions of PostgreSQL).
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {String} [operation]
+  * @param {Error} [cause] The error reported by the database
+  */
+function ObjectExistsError(oid, operation, cause)
+{
+        LargeObjectError.call(this, 'Large object ' + oid + ' already exists',
+                {oid: oid, operation: operation, cause: cause});
+}
+
+inherits(ObjectExistsError, LargeObjectError);
+
+/** A method has been called on a large object which has already been closed, either by calling `close()`
+  * or because the transaction in which it was opened has ended (in which case the database reports an
+  * invalid large-object descriptor).
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {String} operation The name of the method that was called, e.g. `read`
+  * @param {Error} [cause] The error reported by the database
+  */
+function ObjectClosedError(oid, operation, cause)
+{
+        LargeObjectError.call(this, 'Unable to ' + operation + '(), large object ' + oid + ' has already been closed',
+                {oid: oid, operation: operation, cause: cause});
+}
+
+inherits(ObjectClosedError, LargeObjectError);
+
+/** The database refused access to a large object, because the current role lacks the required privilege
+  * (for example SELECT to read it, UPDATE to write to it, or ownership to change its privileges).
+  * SQLSTATE 42501, insufficient_privilege.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {String} [operation]
+  * @param {Error} [cause] The error reported by the database
+  */
+function PermissionDeniedError(oid, operation, cause)
+{
+        LargeObjectError.call(this, 'Permission denied for large object ' + oid,
+                {oid: oid, operation: operation, cause: cause});
+}
+
+inherits(PermissionDeniedError, LargeObjectError);
+
+/** A large object operation was attempted outside of a transaction block. Large object descriptors are only
+  * valid until the end of the transaction, so every operation must take place between BEGIN and COMMIT.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {String} operation The name of the method that was called, e.g. `open`
+  */
+function NotInTransactionError(operation)
+{
+        LargeObjectError.call(this, 'Large objects can only be used within a transaction block, ' +
+                'but ' + operation + '() was called outside of one (did you forget BEGIN?)', {operation: operation});
+}
+
+inherits(NotInTransactionError, LargeObjectError);
+
+/** The contents of a large object do not match the expected hash.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {String} expected The expected digest (hex)
+  * @param {String} actual The digest of the data that has been read (hex)
+  */
+function ChecksumMismatchError(oid, expected, actual)
+{
+        LargeObjectError.call(this, 'The contents of large object ' + oid + ' do not match the expected hash ' +
+                '(expected ' + expected + ', got ' + actual + ')', {oid: oid, operation: 'read'});
+        this.expected = expected;
+        this.actual = actual;
+}
+
+inherits(ChecksumMismatchError, LargeObjectError);
+
+/** The contents of an encrypted large object could not be decrypted: the key is wrong, the large object
+  * is not encrypted, or its contents have been tampered with.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {String} message
+  */
+function DecryptionError(oid, message)
+{
+        LargeObjectError.call(this, 'Unable to decrypt large object ' + oid + ': ' + message, {oid: oid, operation: 'read'});
+}
+
+inherits(DecryptionError, LargeObjectError);
+
+/** An upload can not be resumed at the given offset, because the large object has a different size.
+  * This happens when the client did not notice that (part of) its previous upload has been committed,
+  * or when a previous transaction has been rolled back. Resume at `size` instead.
+  * @constructor
+  * @augments module:pg-large-object/lib/errors.LargeObjectError
+  * @param {Number} oid
+  * @param {Number} offset The offset the client wanted to resume at
+  * @param {Number} size The current size of the large object
+  */
+function OffsetMismatchError(oid, offset, size)
+{
+        LargeObjectError.call(this, 'Unable to resume the upload of large object ' + oid + ' at offset ' + offset +
+                ', its size is ' + size, {oid: oid, operation: 'resumeUpload'});
+        this.offset = offset;
+        this.size = size;
+}
+
+inherits(OffsetMismatchError, LargeObjectError);
+
+/** Replace an error reported by the database with one of the error types above, if it has a matching SQLSTATE.
+  * @private
+  * @param {?Error} err
+  * @param {Number} oid The large object the operation was performed on
+  * @param {String} operation The name of the method that was called
+  * @param {Boolean} [descriptor=false] Whether the operation used a descriptor of an opened large object,
+  *        instead of its OID
+  * @returns {?Error}
+  */
+function translate(err, oid, operation, descriptor)
+{
+        if (!err || err instanceof LargeObjectError)
+        {
+                return err;
+        }
+
+        switch (err.code)
+        {
+                case '42501': // insufficient_privilege
+                        return new PermissionDeniedError(oid, operation, err);
+                case '42704': // undefined_object
+                        return descriptor
+                                ? new ObjectClosedError(oid, operation, err) // invalid large-object descriptor
+                                : new ObjectNotFoundError(oid, operation, err);
+                case '42710': // duplicate_object
+                        return new ObjectExistsError(oid, operation, err);
+                case '23505': // unique_violation (of pg_largeobject_metadata, when creating a large object with a given OID)
+                        return oid ? new ObjectExistsError(oid, operation, err) : err;
+                default:
+                        return err;
+        }
+}
+
+exports.LargeObjectError = LargeObjectError;
+exports.AbortError = AbortError;
+exports.InvalidArgumentError = InvalidArgumentError;
+exports.ObjectNotFoundError = ObjectNotFoundError;
+exports.ObjectExistsError = ObjectExistsError;
+exports.ObjectClosedError = ObjectClosedError;
+exports.PermissionDeniedError = PermissionDeniedError;
+exports.NotInTransactionError = NotInTransactionError;
+exports.ChecksumMismatchError = ChecksumMismatchError;
+exports.DecryptionError = DecryptionError;
+exports.OffsetMismatchError = OffsetMismatchError;
+exports.translate = translate;
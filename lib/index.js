@@ -15,6 +15,27 @@ exports.LargeObjectManager = require('./LargeObjectManager');
  */
 exports.LargeObject = require('./LargeObject');
 
+/**
+ * {@link module:pg-large-object/lib/EncryptedLargeObject}
+ * @constant
+ * @type {function}
+ */
+exports.EncryptedLargeObject = require('./EncryptedLargeObject');
+
+/**
+ * {@link module:pg-large-object/lib/LargeObjectHandle}
+ * @constant
+ * @type {function}
+ */
+exports.LargeObjectHandle = require('./LargeObjectHandle');
+
+/**
+ * {@link module:pg-large-object/lib/ContentStore}
+ * @constant
+ * @type {function}
+ */
+exports.ContentStore = require('./ContentStore');
+
 /**
  * {@link module:pg-large-object/lib/ReadStream}
  * @constant
@@ -28,3 +49,94 @@ exports.ReadStream = require('./ReadStream');
  * @type {function}
  */
 exports.WriteStream = require('./WriteStream');
+
+/**
+ * {@link module:pg-large-object/lib/errors.LargeObjectError}
+ * @constant
+ * @type {function}
+ */
+exports.LargeObjectError = require('./errors').LargeObjectError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.AbortError}
+ * @constant
+ * @type {function}
+ */
+exports.AbortError = require('./errors').AbortError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.ObjectExistsError}
+ * @constant
+ * @type {function}
+ */
+exports.ObjectExistsError = require('./errors').ObjectExistsError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.PermissionDeniedError}
+ * @constant
+ * @type {function}
+ */
+exports.PermissionDeniedError = require('./errors').PermissionDeniedError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.NotInTransactionError}
+ * @constant
+ * @type {function}
+ */
+exports.NotInTransactionError = require('./errors').NotInTransactionError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.ObjectClosedError}
+ * @constant
+ * @type {function}
+ */
+exports.ObjectClosedError = require('./errors').ObjectClosedError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.InvalidArgumentError}
+ * @constant
+ * @type {function}
+ */
+exports.InvalidArgumentError = require('./errors').InvalidArgumentError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.ObjectNotFoundError}
+ * @constant
+ * @type {function}
+ */
+exports.ObjectNotFoundError = require('./errors').ObjectNotFoundError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.ChecksumMismatchError}
+ * @constant
+ * @type {function}
+ */
+exports.ChecksumMismatchError = require('./errors').ChecksumMismatchError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.DecryptionError}
+ * @constant
+ * @type {function}
+ */
+exports.DecryptionError = require('./errors').DecryptionError;
+
+/**
+ * {@link module:pg-large-object/lib/errors.OffsetMismatchError}
+ * @constant
+ * @type {function}
+ */
+exports.OffsetMismatchError = require('./errors').OffsetMismatchError;
+
+/**
+ * {@link module:pg-large-object/lib/serveLargeObject.serveLargeObject}
+ * @constant
+ * @type {function}
+ */
+exports.serveLargeObject = require('./serveLargeObject').serveLargeObject;
+
+/**
+ * {@link module:pg-large-object/lib/serveLargeObject.serveLargeObjectAsync}
+ * @constant
+ * @type {function}
+ */
+exports.serveLargeObjectAsync = require('./serveLargeObject').serveLargeObjectAsync;
@@ -0,0 +1,106 @@
+"use strict";
+
+/** @typedef {Object} module:pg-large-object/lib/parseRange~Range
+  * @property {Number} start The offset of the first byte
+  * @property {Number} end The offset of the last byte (inclusive)
+  */
+
+/** Parse the value of a HTTP Range header (RFC 7233) for a resource of the given size.
+  * Overlapping and adjacent ranges are combined.
+  * @exports pg-large-object/lib/parseRange
+  * @param {Number} size The total size of the resource in bytes
+  * @param {String} [header] The value of the Range header
+  * @returns {?Array.<module:pg-large-object/lib/parseRange~Range>} `null` if the header is missing
+  *          or malformed (in which case it should be ignored), an empty array if none of the ranges are
+  *          satisfiable, otherwise the sorted list of ranges.
+  */
+function parseRange(size, header)
+{
+        if (typeof header !== 'string')
+        {
+                return null;
+        }
+
+        var match = /^\s*bytes\s*=(.*)$/i.exec(header);
+        if (!match)
+        {
+                return null;
+        }
+
+        var specs = match[1].split(',');
+        var ranges = [];
+
+        for (var i = 0; i < specs.length; ++i)
+        {
+                var spec = specs[i].trim();
+                if (!spec)
+                {
+                        continue; // e.g. "bytes=0-1,,2-3"
+                }
+
+                var parts = /^(\d*)-(\d*)$/.exec(spec);
+                if (!parts || (!parts[1] && !parts[2]))
+                {
+                        return null;
+                }
+
+                var start, end;
+                if (!parts[1])
+                {
+                        // suffix range: the last N bytes
+                        var suffixLength = Number(parts[2]);
+                        if (suffixLength === 0 || size === 0)
+                        {
+                                continue;
+                        }
+
+                        start = Math.max(0, size - suffixLength);
+                        end = size - 1;
+                }
+                else
+                {
+                        start = Number(parts[1]);
+                        end = parts[2] ? Number(parts[2]) : Infinity;
+
+                        if (end < start)
+                        {
+                                return null;
+                        }
+
+                        if (start >= size)
+                        {
+                                continue;
+                        }
+
+                        end = Math.min(end, size - 1);
+                }
+
+                ranges.push({start: start, end: end});
+        }
+
+        if (!ranges.length && !specs.some(function(spec) { return spec.trim(); }))
+        {
+                return null; // "bytes="
+        }
+
+        ranges.sort(function(a, b)
+        {
+                return a.start - b.start;
+        });
+
+        return ranges.reduce(function(combined, range)
+        {
+                var last = combined[combined.length - 1];
+                if (last && range.start <= last.end + 1)
+                {
+                        last.end = Math.max(last.end, range.end);
+                }
+                else
+                {
+                        combined.push(range);
+                }
+                return combined;
+        }, []);
+}
+
+module.exports = parseRange;
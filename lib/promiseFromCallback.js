@@ -8,17 +8,21 @@
  * @returns {Promise}
  */
 function promiseFromCallback(fn, self, options) {
-        // there are no callbacks with more than two arguments in this project
+        // there are no callbacks with more than three arguments in this project
         const twoArgs = options && options.twoArgs;
+        const threeArgs = options && options.threeArgs;
 
         return new Promise(function(resolve, reject) {
-                function callback(error, arg1, arg2) {
+                function callback(error, arg1, arg2, arg3) {
                         if (error) {
                                 reject(error);
                                 return;
                         }
 
-                        if (twoArgs) {
+                        if (threeArgs) {
+                                resolve([arg1, arg2, arg3]);
+                        }
+                        else if (twoArgs) {
                                 resolve([arg1, arg2]);
                         }
                         else {
@@ -0,0 +1,22 @@
+"use strict";
+
+var errors = require('./errors');
+
+/** Quote an SQL identifier (such as a table, column or role name) so that it can be
+  * safely embedded in a query.
+  * @exports pg-large-object/lib/quoteIdentifier
+  * @private
+  * @param {String} name
+  * @returns {String}
+  */
+function quoteIdentifier(name)
+{
+        if (typeof name !== 'string' || !name || name.indexOf('\0') >= 0)
+        {
+                throw new errors.InvalidArgumentError('An identifier must be a non-empty string without NUL characters');
+        }
+
+        return '"' + name.replace(/"/g, '""') + '"';
+}
+
+module.exports = quoteIdentifier;
@@ -0,0 +1,281 @@
+"use strict";
+/** @module pg-large-object/lib/serveLargeObject */
+
+var crypto = require('crypto');
+var promiseFromCallback = require('./promiseFromCallback');
+var errors = require('./errors');
+var parseRange = require('./parseRange');
+var LargeObject = require('./LargeObject');
+var LargeObjectManager = require('./LargeObjectManager');
+
+function quoteEtag(etag)
+{
+        return /^(W\/)?"/.test(etag) ? etag : '"' + etag + '"';
+}
+
+function etagMatches(header, etag, weak)
+{
+        if (!header || !etag)
+        {
+                return false;
+        }
+
+        var opaque = function(tag)
+        {
+                return weak ? tag.replace(/^W\//, '') : tag;
+        };
+
+        if (!weak && /^W\//.test(etag))
+        {
+                return false; // weak entity tags never match using the strong comparison
+        }
+
+        return header.split(',').some(function(tag)
+        {
+                tag = tag.trim();
+                return tag === '*' || opaque(tag) === opaque(etag);
+        });
+}
+
+/** @callback module:pg-large-object/lib/serveLargeObject~serveLargeObjectCallback
+  * @param {?Error} error If set, an error occurred. If no response has been sent yet
+  *        (for example because the large object does not exist), the response is left
+  *        untouched so that the caller can send an error response of its own.
+  */
+/** Respond to a HTTP request with the contents of a large object. Range requests
+  * (including multiple ranges), HEAD requests, `If-None-Match` and `If-Range` are supported.
+  * The large object is closed when the response has been sent or when the client aborts the request.
+  * Only call this within a transaction block, and do not end the transaction until the callback is called.
+  * @example http.createServer(function(req, res) {
+  *   serveLargeObject(req, res, {oid: 123, manager: man, contentType: 'video/mp4'}, function(err) { ... });
+  * });
+  * @param {http.IncomingMessage} req
+  * @param {http.ServerResponse} res
+  * @param {Object} options
+  * @param {Number} options.oid The large object to serve
+  * @param {module:pg-large-object/lib/LargeObjectManager} options.manager
+  * @param {String} [options.contentType=application/octet-stream]
+  * @param {String} [options.etag] An entity tag which uniquely identifies the current contents of the large object
+  * @param {Number} [options.bufferSize=16384]
+  * @param {module:pg-large-object/lib/serveLargeObject~serveLargeObjectCallback} [callback]
+  */
+function serveLargeObject(req, res, options, callback)
+{
+        if (!options || !options.oid || !options.manager)
+        {
+                throw new errors.InvalidArgumentError('The oid and manager options are required', 'serveLargeObject');
+        }
+
+        var contentType = options.contentType || 'application/octet-stream';
+        var etag = options.etag ? quoteEtag(options.etag) : null;
+        var head = req.method === 'HEAD';
+        var obj = null;
+        var currentStream = null;
+        var done = false;
+
+        function finish(err)
+        {
+                if (done)
+                {
+                        return;
+                }
+                done = true;
+
+                if (!obj)
+                {
+                        if (callback) callback(err || null);
+                        return;
+                }
+
+                obj.close(function(closeErr)
+                {
+                        if (callback) callback(err || closeErr || null);
+                });
+        }
+
+        function fail(err)
+        {
+                if (res.headersSent)
+                {
+                        res.destroy();
+                }
+                finish(err);
+        }
+
+        res.on('finish', function()
+        {
+                finish(null);
+        });
+
+        res.on('close', function()
+        {
+                // the client has aborted the request (if we have not finished yet)
+                if (currentStream)
+                {
+                        currentStream.unpipe(res);
+                        currentStream.destroy();
+                        currentStream = null;
+                }
+                finish(null);
+        });
+
+        if (etag)
+        {
+                res.setHeader('ETag', etag);
+        }
+
+        if (etagMatches(req.headers['if-none-match'], etag, true))
+        {
+                res.statusCode = 304;
+                res.end();
+                return;
+        }
+
+        options.manager.open(options.oid, LargeObjectManager.READ, function(err, _obj)
+        {
+                if (err) return finish(err);
+
+                if (done)
+                {
+                        // the client has aborted the request while we were opening
+                        _obj.close(function() {});
+                        return;
+                }
+                obj = _obj;
+
+                obj.size(function(err, size)
+                {
+                        if (err) return finish(err);
+                        if (done) return;
+
+                        size = Number(size); // int8 values are returned as a string by node-postgres
+                        var ifRange = req.headers['if-range'];
+                        var ranges = !ifRange || etagMatches(ifRange, etag, false)
+                                ? parseRange(size, req.headers.range)
+                                : null;
+
+                        res.setHeader('Accept-Ranges', 'bytes');
+
+                        if (ranges && !ranges.length)
+                        {
+                                res.statusCode = 416;
+                                res.setHeader('Content-Range', 'bytes */' + size);
+                                res.end();
+                                return;
+                        }
+
+                        var parts;
+                        var trailer = '';
+
+                        if (!ranges)
+                        {
+                                res.statusCode = 200;
+                                res.setHeader('Content-Type', contentType);
+                                res.setHeader('Content-Length', size);
+                                parts = [{start: 0, end: size - 1, header: ''}];
+                        }
+                        else if (ranges.length === 1)
+                        {
+                                var range = ranges[0];
+                                res.statusCode = 206;
+                                res.setHeader('Content-Type', contentType);
+                                res.setHeader('Content-Range', 'bytes ' + range.start + '-' + range.end + '/' + size);
+                                res.setHeader('Content-Length', range.end - range.start + 1);
+                                parts = [{start: range.start, end: range.end, header: ''}];
+                        }
+                        else
+                        {
+                                var boundary = crypto.randomBytes(12).toString('hex');
+                                var contentLength = 0;
+
+                                parts = ranges.map(function(range, index)
+                                {
+                                        var header = (index ? '\r\n' : '') +
+                                                '--' + boundary + '\r\n' +
+                                                'Content-Type: ' + contentType + '\r\n' +
+                                                'Content-Range: bytes ' + range.start + '-' + range.end + '/' + size + '\r\n' +
+                                                '\r\n';
+                                        contentLength += Buffer.byteLength(header) + range.end - range.start + 1;
+                                        return {start: range.start, end: range.end, header: header};
+                                });
+
+                                trailer = '\r\n--' + boundary + '--\r\n';
+                                contentLength += Buffer.byteLength(trailer);
+
+                                res.statusCode = 206;
+                                res.setHeader('Content-Type', 'multipart/byteranges; boundary=' + boundary);
+                                res.setHeader('Content-Length', contentLength);
+                        }
+
+                        if (head)
+                        {
+                                res.end();
+                                return;
+                        }
+
+                        (function sendPart(index)
+                        {
+                                if (done) return;
+
+                                if (index >= parts.length)
+                                {
+                                        res.end(trailer);
+                                        return;
+                                }
+
+                                var part = parts[index];
+                                var length = part.end - part.start + 1;
+
+                                if (part.header)
+                                {
+                                        res.write(part.header);
+                                }
+
+                                if (length <= 0)
+                                {
+                                        return sendPart(index + 1);
+                                }
+
+                                obj.seek(part.start, LargeObject.SEEK_SET, function(err)
+                                {
+                                        if (err) return fail(err);
+                                        if (done) return;
+
+                                        currentStream = obj.getReadableStream({bufferSize: options.bufferSize, length: length});
+                                        currentStream.on('error', fail);
+                                        currentStream.on('end', function()
+                                        {
+                                                currentStream = null;
+                                                sendPart(index + 1);
+                                        });
+                                        currentStream.pipe(res, {end: false});
+                                });
+                        })(0);
+                });
+        });
+}
+
+/** Respond to a HTTP request with the contents of a large object. Range requests
+ * (including multiple ranges), HEAD requests, `If-None-Match` and `If-Range` are supported.
+ * The large object is closed when the response has been sent or when the client aborts the request.
+ * Only call this within a transaction block, and do not end the transaction until the promise has settled.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object} options
+ * @param {Number} options.oid The large object to serve
+ * @param {module:pg-large-object/lib/LargeObjectManager} options.manager
+ * @param {String} [options.contentType=application/octet-stream]
+ * @param {String} [options.etag] An entity tag which uniquely identifies the current contents of the large object
+ * @param {Number} [options.bufferSize=16384]
+ * @returns {Promise}
+ */
+function serveLargeObjectAsync(req, res, options)
+{
+        return promiseFromCallback(function(callback)
+        {
+                serveLargeObject(req, res, options, callback);
+        }, null);
+}
+
+exports.serveLargeObject = serveLargeObject;
+exports.serveLargeObjectAsync = serveLargeObjectAsync;
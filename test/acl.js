@@ -0,0 +1,61 @@
+'use strict';
+
+const acl = require('../lib/acl');
+
+module.exports = {
+        testParseAclItem: function(test) {
+                test.deepEqual(acl.parseAclItem('joe=rw/postgres'), {
+                        grantee: 'joe',
+                        grantor: 'postgres',
+                        privileges: ['SELECT', 'UPDATE'],
+                        grantable: [],
+                });
+                test.deepEqual(acl.parseAclItem('=r/postgres'), {
+                        grantee: 'PUBLIC',
+                        grantor: 'postgres',
+                        privileges: ['SELECT'],
+                        grantable: [],
+                });
+                test.deepEqual(acl.parseAclItem('joe=r*w/postgres'), {
+                        grantee: 'joe',
+                        grantor: 'postgres',
+                        privileges: ['SELECT', 'UPDATE'],
+                        grantable: ['SELECT'],
+                });
+                test.done();
+        },
+
+        testQuotedNames: function(test) {
+                test.deepEqual(acl.parseAclItem('"My ""Role"""=w/"a=b/c"'), {
+                        grantee: 'My "Role"',
+                        grantor: 'a=b/c',
+                        privileges: ['UPDATE'],
+                        grantable: [],
+                });
+                test.done();
+        },
+
+        testParseAcl: function(test) {
+                test.deepEqual(acl.parseAcl(['postgres=rw/postgres', '=r/postgres']).map(function(item) {
+                        return item.grantee;
+                }), ['postgres', 'PUBLIC']);
+                test.deepEqual(acl.parseAcl([]), []);
+                test.done();
+        },
+
+        testIllegal: function(test) {
+                test.throws(function() {
+                        acl.parseAclItem('joe');
+                });
+                test.throws(function() {
+                        acl.parseAclItem('joe=rq/postgres');
+                });
+                test.throws(function() {
+                        acl.parseAclItem('joe=rw');
+                });
+                test.throws(function() {
+                        acl.parseAclItem('"joe=rw/postgres');
+                });
+                test.done();
+        },
+};
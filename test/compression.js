@@ -0,0 +1,31 @@
+'use strict';
+
+const compression = require('../lib/compression');
+
+module.exports = {
+        testHeader: function(test) {
+                const header = compression.createHeader('brotli', 123456789012);
+                test.equal(header.length, compression.HEADER_SIZE);
+                test.deepEqual(compression.parseHeader(header), {format: 'brotli', logicalSize: 123456789012});
+                test.deepEqual(compression.parseHeader(compression.createHeader('gzip', null)), {format: 'gzip', logicalSize: null});
+                test.deepEqual(compression.parseHeader(compression.createHeader('deflate', 0)), {format: 'deflate', logicalSize: 0});
+                test.done();
+        },
+
+        testNoHeader: function(test) {
+                test.strictEqual(compression.parseHeader(Buffer.from('{"some": "json data"}')), null);
+                test.strictEqual(compression.parseHeader(Buffer.from('PGLZ')), null);
+
+                const header = compression.createHeader('gzip', 10);
+                header[5] = 99; // unknown format
+                test.strictEqual(compression.parseHeader(header), null);
+                test.done();
+        },
+
+        testUnknownFormat: function(test) {
+                test.throws(function() {
+                        compression.createHeader('lz4', null);
+                });
+                test.done();
+        },
+};
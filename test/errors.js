@@ -0,0 +1,57 @@
+'use strict';
+
+const errors = require('../lib/errors');
+
+function databaseError(code) {
+        const error = Error('database error ' + code);
+        error.code = code;
+        return error;
+}
+
+module.exports = {
+        testHierarchy: function(test) {
+                const error = new errors.ObjectNotFoundError(123, 'open');
+                test.ok(error instanceof errors.ObjectNotFoundError);
+                test.ok(error instanceof errors.LargeObjectError);
+                test.ok(error instanceof Error);
+                test.equal(error.name, 'ObjectNotFoundError');
+                test.equal(error.oid, 123);
+                test.equal(error.operation, 'open');
+                test.ok(error.stack);
+
+                test.ok(new errors.AbortError() instanceof errors.LargeObjectError);
+                test.equal(new errors.AbortError().code, 'ABORT_ERR');
+                test.ok(new errors.InvalidArgumentError('foo', 'read') instanceof errors.LargeObjectError);
+                test.equal(new errors.InvalidArgumentError('foo', 'read').operation, 'read');
+                test.done();
+        },
+
+        testTranslate: function(test) {
+                const cause = databaseError('42501');
+                const error = errors.translate(cause, 123, 'read', true);
+                test.ok(error instanceof errors.PermissionDeniedError);
+                test.strictEqual(error.cause, cause);
+                test.equal(error.code, '42501');
+                test.equal(error.oid, 123);
+                test.equal(error.operation, 'read');
+
+                test.ok(errors.translate(databaseError('42704'), 123, 'open') instanceof errors.ObjectNotFoundError);
+                test.ok(errors.translate(databaseError('42704'), 123, 'read', true) instanceof errors.ObjectClosedError);
+                test.ok(errors.translate(databaseError('42710'), 123, 'create') instanceof errors.ObjectExistsError);
+                test.ok(errors.translate(databaseError('23505'), 123, 'create') instanceof errors.ObjectExistsError);
+                test.done();
+        },
+
+        testTranslateOther: function(test) {
+                const other = databaseError('57014');
+                test.strictEqual(errors.translate(other, 123, 'read'), other);
+
+                const uniqueViolation = databaseError('23505');
+                test.strictEqual(errors.translate(uniqueViolation, undefined, 'create'), uniqueViolation);
+                test.strictEqual(errors.translate(null, 123, 'read'), null);
+
+                const translated = new errors.ObjectClosedError(123, 'read');
+                test.strictEqual(errors.translate(translated, 123, 'read'), translated);
+                test.done();
+        },
+};
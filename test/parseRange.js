@@ -0,0 +1,41 @@
+'use strict';
+
+const parseRange = require('../lib/parseRange');
+
+module.exports = {
+        testMissingOrMalformed: function(test) {
+                test.strictEqual(parseRange(1000, undefined), null);
+                test.strictEqual(parseRange(1000, 'items=0-10'), null);
+                test.strictEqual(parseRange(1000, 'bytes='), null);
+                test.strictEqual(parseRange(1000, 'bytes=-'), null);
+                test.strictEqual(parseRange(1000, 'bytes=abc'), null);
+                test.strictEqual(parseRange(1000, 'bytes=10-5'), null);
+                test.strictEqual(parseRange(1000, 'bytes=0-10,x-'), null);
+                test.done();
+        },
+
+        testSingleRange: function(test) {
+                test.deepEqual(parseRange(1000, 'bytes=0-499'), [{start: 0, end: 499}]);
+                test.deepEqual(parseRange(1000, 'bytes=500-'), [{start: 500, end: 999}]);
+                test.deepEqual(parseRange(1000, 'bytes=-100'), [{start: 900, end: 999}]);
+                test.deepEqual(parseRange(1000, 'bytes=-5000'), [{start: 0, end: 999}]);
+                test.deepEqual(parseRange(1000, 'bytes=900-5000'), [{start: 900, end: 999}]);
+                test.deepEqual(parseRange(1000, ' Bytes = 1-1 '), [{start: 1, end: 1}]);
+                test.done();
+        },
+
+        testMultipleRanges: function(test) {
+                test.deepEqual(parseRange(1000, 'bytes=500-599, 0-99'), [{start: 0, end: 99}, {start: 500, end: 599}]);
+                test.deepEqual(parseRange(1000, 'bytes=0-99,50-150,151-200'), [{start: 0, end: 200}]);
+                test.deepEqual(parseRange(1000, 'bytes=0-0,-1'), [{start: 0, end: 0}, {start: 999, end: 999}]);
+                test.done();
+        },
+
+        testUnsatisfiable: function(test) {
+                test.deepEqual(parseRange(1000, 'bytes=1000-'), []);
+                test.deepEqual(parseRange(1000, 'bytes=-0'), []);
+                test.deepEqual(parseRange(0, 'bytes=-10'), []);
+                test.deepEqual(parseRange(1000, 'bytes=2000-3000,0-9'), [{start: 0, end: 9}]);
+                test.done();
+        },
+};
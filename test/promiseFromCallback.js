@@ -31,6 +31,20 @@ module.exports = {
                 });
         },
 
+        testResolveWithThreeArgs: function(test) {
+                test.expect(2);
+
+                const promise = promiseFromCallback(function(callback) {
+                        test.equal(this, 'myThisObject');
+                        callback(null, 1234, 4567, 8910);
+                }, 'myThisObject', {threeArgs: true});
+
+                promise.then(function(result){
+                        test.deepEqual(result, [1234, 4567, 8910]);
+                        test.done();
+                });
+        },
+
         testReject: function(test) {
                 test.expect(2);
 
@@ -0,0 +1,25 @@
+'use strict';
+
+const quoteIdentifier = require('../lib/quoteIdentifier');
+
+module.exports = {
+        testQuote: function(test) {
+                test.equal(quoteIdentifier('files'), '"files"');
+                test.equal(quoteIdentifier('My Table'), '"My Table"');
+                test.equal(quoteIdentifier('a"; DROP TABLE x; --'), '"a""; DROP TABLE x; --"');
+                test.done();
+        },
+
+        testIllegal: function(test) {
+                test.throws(function() {
+                        quoteIdentifier('');
+                });
+                test.throws(function() {
+                        quoteIdentifier(123);
+                });
+                test.throws(function() {
+                        quoteIdentifier('a\0b');
+                });
+                test.done();
+        },
+};